@@ -7,7 +7,32 @@
  * based on Dynamic Octree by Piko3D @ http://www.piko3d.com/ and Octree by Marek Pawlowski @ pawlowski.it
  *
  */
- ( function ( THREE ) { "use strict";
+ ( function ( root, factory ) { "use strict";
+	
+	var octree;
+	
+	if ( typeof module === 'object' && module.exports ) {
+		
+		// commonjs, same exports as es module, factory kept for other three instances
+		
+		module.exports = factory( require( 'three' ) );
+		module.exports.createOctree = factory;
+		
+	} else if ( root.THREE ) {
+		
+		// script, install on global three as in previous releases
+		
+		octree = factory( root.THREE );
+		
+		root.THREE.Octree = octree.Octree;
+		root.THREE.OctreeNode = octree.OctreeNode;
+		root.THREE.OctreeObjectData = octree.OctreeObjectData;
+		
+		octree.extendRaycaster( root.THREE.Raycaster );
+		
+	}
+	
+}( this, function ( THREE ) { "use strict";
 	
 	/*===================================================
 
@@ -15,6 +40,33 @@
 
 	=====================================================*/
 	
+	// results of classifying node bounds against a search volume
+	
+	var INTERSECT_OUTSIDE = 0,
+		INTERSECT_CROSS = 1,
+		INTERSECT_INSIDE = 2;
+		
+	// node bounds by axis, for per axis ray tests
+	
+	var RAY_AXES = [
+		{ component: 'x', min: 'left', max: 'right' },
+		{ component: 'y', min: 'bottom', max: 'top' },
+		{ component: 'z', min: 'back', max: 'front' }
+	];
+	
+	// vertices of face triangles, quads are split as three did
+	
+	var FACE3_TRIANGLES = [ [ 'a', 'b', 'c' ] ],
+		FACE4_TRIANGLES = [ [ 'a', 'b', 'd' ], [ 'b', 'c', 'd' ] ];
+		
+	// category mask with all bits set, for objects without layers
+	
+	var MASK_ALL = -1;
+	
+	// smallest node radius that splits, relative to size of coordinates, so points at one position do not split forever
+	
+	var RADIUS_PRECISION = 1e-9;
+	
 	function isNumber ( n ) {
 		return !isNaN( n ) && isFinite( n );
 	}
@@ -58,2096 +110,5542 @@
 		return -1;
 		
 	}
-
-	/*===================================================
-
-	octree
-
-	=====================================================*/
-
-	THREE.Octree = function ( parameters ) {
-		
-		// handle parameters
-		
-		parameters = parameters || {};
-		
-		parameters.tree = this;
-		
-		// static properties ( modification is not recommended )
-		
-		this.nodeCount = 0;
-		
-		this.INDEX_INSIDE_CROSS = -1;
-		this.INDEX_OUTSIDE_OFFSET = 2;
-		
-		this.INDEX_OUTSIDE_POS_X = isNumber( parameters.INDEX_OUTSIDE_POS_X ) ? parameters.INDEX_OUTSIDE_POS_X : 0;
-		this.INDEX_OUTSIDE_NEG_X = isNumber( parameters.INDEX_OUTSIDE_NEG_X ) ? parameters.INDEX_OUTSIDE_NEG_X : 1;
-		this.INDEX_OUTSIDE_POS_Y = isNumber( parameters.INDEX_OUTSIDE_POS_Y ) ? parameters.INDEX_OUTSIDE_POS_Y : 2;
-		this.INDEX_OUTSIDE_NEG_Y = isNumber( parameters.INDEX_OUTSIDE_NEG_Y ) ? parameters.INDEX_OUTSIDE_NEG_Y : 3;
-		this.INDEX_OUTSIDE_POS_Z = isNumber( parameters.INDEX_OUTSIDE_POS_Z ) ? parameters.INDEX_OUTSIDE_POS_Z : 4;
-		this.INDEX_OUTSIDE_NEG_Z = isNumber( parameters.INDEX_OUTSIDE_NEG_Z ) ? parameters.INDEX_OUTSIDE_NEG_Z : 5;
+	
+	function getBufferVertex ( attribute, index, target ) {
 		
-		this.INDEX_OUTSIDE_MAP = [];
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_X ] = { index: this.INDEX_OUTSIDE_POS_X, count: 0, x: 1, y: 0, z: 0 };
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_X ] = { index: this.INDEX_OUTSIDE_NEG_X, count: 0, x: -1, y: 0, z: 0 };
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_Y ] = { index: this.INDEX_OUTSIDE_POS_Y, count: 0, x: 0, y: 1, z: 0 };
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_Y ] = { index: this.INDEX_OUTSIDE_NEG_Y, count: 0, x: 0, y: -1, z: 0 };
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_Z ] = { index: this.INDEX_OUTSIDE_POS_Z, count: 0, x: 0, y: 0, z: 1 };
-		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_Z ] = { index: this.INDEX_OUTSIDE_NEG_Z, count: 0, x: 0, y: 0, z: -1 };
+		return target.set( attribute.getX( index ), attribute.getY( index ), attribute.getZ( index ) );
 		
-		this.FLAG_POS_X = 1 << ( this.INDEX_OUTSIDE_POS_X + 1 );
-		this.FLAG_NEG_X = 1 << ( this.INDEX_OUTSIDE_NEG_X + 1 );
-		this.FLAG_POS_Y = 1 << ( this.INDEX_OUTSIDE_POS_Y + 1 );
-		this.FLAG_NEG_Y = 1 << ( this.INDEX_OUTSIDE_NEG_Y + 1 );
-		this.FLAG_POS_Z = 1 << ( this.INDEX_OUTSIDE_POS_Z + 1 );
-		this.FLAG_NEG_Z = 1 << ( this.INDEX_OUTSIDE_NEG_Z + 1 );
+	}
+	
+	function getBufferVertexIndex ( geometry, index ) {
 		
-		this.utilVec31Search = new THREE.Vector3();
-		this.utilVec32Search = new THREE.Vector3();
+		return geometry.index ? geometry.index.array[ index ] : index;
 		
-		// pass scene to see octree structure
+	}
+	
+	function getBufferRanges ( geometry, material ) {
 		
-		this.scene = parameters.scene;
+		// ranges of indices ( or vertices when not indexed ) that are actually drawn
+		// mirrors three: groups only apply when object has a material per group
 		
-		if ( this.scene ) {
+		var i, l,
+			group,
+			start,
+			end,
+			count = geometry.index ? geometry.index.count : geometry.attributes.position.count,
+			drawRange = geometry.drawRange,
+			drawStart = drawRange ? Math.max( 0, drawRange.start ) : 0,
+			drawEnd = drawRange ? Math.min( count, drawRange.start + drawRange.count ) : count,
+			groups = geometry.groups,
+			ranges = [];
 			
-			this.visualGeometry = new THREE.CubeGeometry( 1, 1, 1 );
-			this.visualMaterial = new THREE.MeshBasicMaterial( { color: 0xFF0066, wireframe: true, wireframeLinewidth: 1 } );
+		if ( isArray( material ) && groups && groups.length > 0 ) {
+			
+			for ( i = 0, l = groups.length; i < l; i++ ) {
+				
+				group = groups[ i ];
+				
+				start = Math.max( group.start, drawStart );
+				end = Math.min( group.start + group.count, drawEnd );
+				
+				if ( end > start ) {
+					
+					ranges.push( { start: start, end: end, materialIndex: group.materialIndex } );
+					
+				}
+				
+			}
+			
+		} else if ( drawEnd > drawStart ) {
+			
+			ranges.push( { start: drawStart, end: drawEnd, materialIndex: 0 } );
 			
 		}
 		
-		// properties
-		
-		this.objects = [];
-		this.objectsMap = {};
-		this.objectsData = [];
-		this.objectsDeferred = [];
-		
-		this.depthMax = isNumber( parameters.depthMax ) ? parameters.depthMax : Infinity;
-		this.objectsThreshold = isNumber( parameters.objectsThreshold ) ? parameters.objectsThreshold : 8;
-		this.overlapPct = isNumber( parameters.overlapPct ) ? parameters.overlapPct : 0.15;
-		this.undeferred = parameters.undeferred || false;
+		return ranges;
 		
-		this.root = parameters.root instanceof THREE.OctreeNode ? parameters.root : new THREE.OctreeNode( parameters );
+	}
+	
+	function getRayBoundsEntry ( bounds, origin, direction, far, expand ) {
 		
-	};
-
-	THREE.Octree.prototype = {
+		// slab test of ray against left / right / bottom / top / back / front bounds grown by expand
+		// returns distance in units of direction where ray enters, 0 when origin inside, -1 when missed within far
+		// handles direction components of 0 without dividing
 		
-		update: function () {
+		var tmin = 0,
+			tmax = far,
+			t1, t2, swap,
+			i,
+			axis,
+			min, max,
+			o, d;
 			
-			// add any deferred objects that were waiting for render cycle
+		for ( i = 0; i < 3; i++ ) {
 			
-			if ( this.objectsDeferred.length > 0 ) {
+			axis = RAY_AXES[ i ];
+			o = origin[ axis.component ];
+			d = direction[ axis.component ];
+			min = bounds[ axis.min ] - expand;
+			max = bounds[ axis.max ] + expand;
+			
+			if ( d === 0 ) {
 				
-				for ( var i = 0, il = this.objectsDeferred.length; i < il; i++ ) {
+				if ( o < min || o > max ) {
 					
-					var deferred = this.objectsDeferred[ i ];
-					
-					this.addDeferred( deferred.object, deferred.options );
+					return -1;
 					
 				}
 				
-				this.objectsDeferred.length = 0;
-				
-			}
-			
-		},
-		
-		add: function ( object, options ) {
-			
-			// add immediately
-			
-			if ( this.undeferred ) {
-				
-				this.updateObject( object );
+			} else {
 				
-				this.addDeferred( object, options );
+				t1 = ( min - o ) / d;
+				t2 = ( max - o ) / d;
 				
-			} else {
+				if ( t1 > t2 ) {
+					
+					swap = t1;
+					t1 = t2;
+					t2 = swap;
+					
+				}
 				
-				// defer add until update called
+				tmin = Math.max( tmin, t1 );
+				tmax = Math.min( tmax, t2 );
 				
-				this.objectsDeferred.push( { object: object, options: options } );
+				if ( tmin > tmax ) {
+					
+					return -1;
+					
+				}
 				
 			}
 			
-		},
+		}
 		
-		addDeferred: function ( object, options ) {
+		return tmin;
+		
+	}
+	
+	function getPlaneBoundsDistance ( plane, bounds, sign ) {
+		
+		// signed distance to plane of corner of bounds furthest along ( sign 1 ) or against ( sign -1 ) plane normal
+		
+		var normal = plane.normal,
+			x = normal.x * sign > 0 ? bounds.right : bounds.left,
+			y = normal.y * sign > 0 ? bounds.top : bounds.bottom,
+			z = normal.z * sign > 0 ? bounds.front : bounds.back;
 			
-			var i, l,
-				geometry,
-				faces,
-				useFaces,
-				vertices,
-				useVertices,
-				objectData;
+		return normal.x * x + normal.y * y + normal.z * z + plane.constant;
+		
+	}
+	
+	function getProjectionPlane ( elements, row, sign, offset ) {
+		
+		// plane of points where sign * clip[ row ] - offset * clip.w >= 0, from rows of a view projection matrix
+		
+		return new THREE.Plane().setComponents(
+			sign * elements[ row ] - offset * elements[ 3 ],
+			sign * elements[ row + 4 ] - offset * elements[ 7 ],
+			sign * elements[ row + 8 ] - offset * elements[ 11 ],
+			sign * elements[ row + 12 ] - offset * elements[ 15 ]
+		).normalize();
+		
+	}
+	
+	function isPointInPolygon ( x, y, polygon ) {
+		
+		// even odd rule, so polygon may be concave
+		
+		var i, j, l,
+			a,
+			b,
+			inside = false;
 			
-			// ensure object is not object data
+		for ( i = 0, l = polygon.length, j = l - 1; i < l; j = i++ ) {
+			
+			a = polygon[ i ];
+			b = polygon[ j ];
 			
-			if ( object instanceof THREE.OctreeObjectData ) {
+			if ( ( a.y > y ) !== ( b.y > y ) && x < ( b.x - a.x ) * ( y - a.y ) / ( b.y - a.y ) + a.x ) {
 				
-				object = object.object;
+				inside = !inside;
 				
 			}
 			
-			// check uuid to avoid duplicates
+		}
+		
+		return inside;
+		
+	}
+	
+	function distanceSquaredToSegment ( x, y, z, start, delta ) {
+		
+		// squared distance from point to segment of start + delta * t, t in [ 0, 1 ]
+		
+		var lengthSq = delta.x * delta.x + delta.y * delta.y + delta.z * delta.z,
+			dx = x - start.x,
+			dy = y - start.y,
+			dz = z - start.z,
+			t = lengthSq > 0 ? Math.min( Math.max( ( dx * delta.x + dy * delta.y + dz * delta.z ) / lengthSq, 0 ), 1 ) : 0;
+			
+		dx -= delta.x * t;
+		dy -= delta.y * t;
+		dz -= delta.z * t;
+		
+		return dx * dx + dy * dy + dz * dz;
+		
+	}
+	
+	function intersectRaySphere ( origin, direction, center, radius ) {
+		
+		// distance along normalized direction to sphere, 0 when origin inside, -1 when missed
+		
+		var dx = center.x - origin.x,
+			dy = center.y - origin.y,
+			dz = center.z - origin.z,
+			tca = dx * direction.x + dy * direction.y + dz * direction.z,
+			d2 = dx * dx + dy * dy + dz * dz - tca * tca,
+			r2 = radius * radius,
+			thc;
 			
-			if ( !object.uuid ) {
-				
-				object.uuid = THREE.Math.generateUUID();
-				
-			}
+		if ( d2 > r2 ) {
 			
-			if ( !this.objectsMap[ object.uuid ] ) {
-				
-				// store
-				
-				this.objects.push( object );
-				this.objectsMap[ object.uuid ] = object;
-				
-				// check options
-				
-				if ( options ) {
-					
-					useFaces = options.useFaces;
-					useVertices = options.useVertices;
-					
-				}
-				
-				if ( useVertices === true ) {
-					
-					geometry = object.geometry;
-					vertices = geometry.vertices;
-					
-					for ( i = 0, l = vertices.length; i < l; i++ ) {
-						
-						this.addObjectData( object, vertices[ i ] );
-						
-					}
-					
-				} else if ( useFaces === true ) {
-					
-					geometry = object.geometry;
-					faces = geometry.faces;
-					
-					for ( i = 0, l = faces.length; i < l; i++ ) {
-						
-						this.addObjectData( object, faces[ i ] );
-						
-					}
-					
-				} else {
-					
-					this.addObjectData( object );
-					
-				}
-				
-			}
+			return -1;
 			
-		},
+		}
 		
-		addObjectData: function ( object, part ) {
+		thc = Math.sqrt( r2 - d2 );
+		
+		if ( tca + thc < 0 ) {
 			
-			var objectData = new THREE.OctreeObjectData( object, part );
+			return -1;
 			
-			// add to tree objects data list
+		}
+		
+		return Math.max( tca - thc, 0 );
+		
+	}
+	
+	function intersectRayTriangle ( origin, direction, a, b, c ) {
+		
+		// moller trumbore, both sides, distance along normalized direction or -1 when missed
+		
+		var e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z,
+			e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z,
+			px = direction.y * e2z - direction.z * e2y,
+			py = direction.z * e2x - direction.x * e2z,
+			pz = direction.x * e2y - direction.y * e2x,
+			det = e1x * px + e1y * py + e1z * pz,
+			invDet,
+			tx, ty, tz,
+			qx, qy, qz,
+			u, v, t;
+			
+		// ray is parallel to triangle
+		
+		if ( det === 0 ) {
 			
-			this.objectsData.push( objectData );
+			return -1;
 			
-			// add to nodes
+		}
+		
+		invDet = 1 / det;
+		
+		tx = origin.x - a.x;
+		ty = origin.y - a.y;
+		tz = origin.z - a.z;
+		
+		u = ( tx * px + ty * py + tz * pz ) * invDet;
+		
+		if ( u < 0 || u > 1 ) {
 			
-			this.root.addObject( objectData );
+			return -1;
 			
-		},
+		}
 		
-		remove: function ( object ) {
+		qx = ty * e1z - tz * e1y;
+		qy = tz * e1x - tx * e1z;
+		qz = tx * e1y - ty * e1x;
+		
+		v = ( direction.x * qx + direction.y * qy + direction.z * qz ) * invDet;
+		
+		if ( v < 0 || u + v > 1 ) {
 			
-			var i, l,
-				objectData = object,
-				index,
-				objectsDataRemoved;
+			return -1;
 			
-			// ensure object is not object data for index search
+		}
+		
+		t = ( e2x * qx + e2y * qy + e2z * qz ) * invDet;
+		
+		return t >= 0 ? t : -1;
+		
+	}
+	
+	function intersectRayFace ( objectData, origin, direction, va, vb, vc, vd ) {
+		
+		// exact triangles of face part in world space, nearest distance along normalized direction or -1 when missed
+		
+		var distance,
+			distanceQuad;
+			
+		if ( objectData.getWorldFaceVertices( va, vb, vc, vd ) === 4 ) {
+			
+			distance = intersectRayTriangle( origin, direction, va, vb, vd );
+			distanceQuad = intersectRayTriangle( origin, direction, vb, vc, vd );
 			
-			if ( object instanceof THREE.OctreeObjectData ) {
+			if ( distance === -1 || ( distanceQuad !== -1 && distanceQuad < distance ) ) {
 				
-				object = object.object;
+				distance = distanceQuad;
 				
 			}
 			
-			// check uuid
+			return distance;
 			
-			if ( this.objectsMap[ object.uuid ] ) {
-				
-				this.objectsMap[ object.uuid ] = undefined;
-				
-				// check and remove from objects, nodes, and data lists
+		}
+		
+		return intersectRayTriangle( origin, direction, va, vb, vc );
+		
+	}
+	
+	function getClosestPointOnTriangle ( p, a, b, c, target, barycoord ) {
+		
+		// from real time collision detection, returns distance from p to closest point
+		
+		var abx = b.x - a.x, aby = b.y - a.y, abz = b.z - a.z,
+			acx = c.x - a.x, acy = c.y - a.y, acz = c.z - a.z,
+			apx = p.x - a.x, apy = p.y - a.y, apz = p.z - a.z,
+			bpx = p.x - b.x, bpy = p.y - b.y, bpz = p.z - b.z,
+			cpx = p.x - c.x, cpy = p.y - c.y, cpz = p.z - c.z,
+			d1 = abx * apx + aby * apy + abz * apz,
+			d2 = acx * apx + acy * apy + acz * apz,
+			d3 = abx * bpx + aby * bpy + abz * bpz,
+			d4 = acx * bpx + acy * bpy + acz * bpz,
+			d5 = abx * cpx + aby * cpy + abz * cpz,
+			d6 = acx * cpx + acy * cpy + acz * cpz,
+			va, vb, vc,
+			v, w,
+			denom;
+			
+		vc = d1 * d4 - d3 * d2;
+		vb = d5 * d2 - d1 * d6;
+		va = d3 * d6 - d5 * d4;
+		
+		if ( d1 <= 0 && d2 <= 0 ) {
+			
+			// vertex a
+			
+			barycoord.set( 1, 0, 0 );
+			
+		} else if ( d3 >= 0 && d4 <= d3 ) {
+			
+			// vertex b
+			
+			barycoord.set( 0, 1, 0 );
+			
+		} else if ( d6 >= 0 && d5 <= d6 ) {
+			
+			// vertex c
+			
+			barycoord.set( 0, 0, 1 );
+			
+		} else if ( vc <= 0 && d1 >= 0 && d3 <= 0 ) {
+			
+			// edge ab
+			
+			v = d1 / ( d1 - d3 );
+			barycoord.set( 1 - v, v, 0 );
+			
+		} else if ( vb <= 0 && d2 >= 0 && d6 <= 0 ) {
+			
+			// edge ac
+			
+			w = d2 / ( d2 - d6 );
+			barycoord.set( 1 - w, 0, w );
+			
+		} else if ( va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0 ) {
+			
+			// edge bc
+			
+			w = ( d4 - d3 ) / ( ( d4 - d3 ) + ( d5 - d6 ) );
+			barycoord.set( 0, 1 - w, w );
+			
+		} else {
+			
+			// inside face
+			
+			denom = 1 / ( va + vb + vc );
+			v = vb * denom;
+			w = vc * denom;
+			barycoord.set( 1 - v - w, v, w );
+			
+		}
+		
+		target.set(
+			a.x * barycoord.x + b.x * barycoord.y + c.x * barycoord.z,
+			a.y * barycoord.x + b.y * barycoord.y + c.y * barycoord.z,
+			a.z * barycoord.x + b.z * barycoord.y + c.z * barycoord.z
+		);
+		
+		return target.distanceTo( p );
+		
+	}
+	
+	function isVertexObjectData ( objectData ) {
+		
+		return objectData.vertices instanceof THREE.Vector3;
+		
+	}
+	
+	function intersectBounds ( a, b ) {
+		
+		return a.left <= b.right && a.right >= b.left && a.bottom <= b.top && a.top >= b.bottom && a.back <= b.front && a.front >= b.back;
+		
+	}
+	
+	function intersectObjectsData ( a, b ) {
+		
+		// bounding spheres overlap, parts of same object are not paired
+		
+		var radius = a.radius + b.radius;
+		
+		return a.object !== b.object && a.position.distanceToSquared( b.position ) <= radius * radius;
+		
+	}
+	
+	function getObjectMask ( object ) {
+		
+		return object.layers && typeof object.layers.mask === 'number' ? object.layers.mask | 0 : MASK_ALL;
+		
+	}
+	
+	function getQueryFilter ( filter, target ) {
+		
+		// filter is a category mask, a predicate, or an object with mask and / or predicate
+		// target is an optional query filter that is set instead of creating one
+		
+		if ( typeof filter === 'number' ) {
+			
+			return ( target || new QueryFilter() ).set( filter, null );
+			
+		} else if ( typeof filter === 'function' ) {
+			
+			return ( target || new QueryFilter() ).set( null, filter );
+			
+		} else if ( filter instanceof QueryFilter ) {
+			
+			return filter;
+			
+		} else if ( filter ) {
+			
+			return ( target || new QueryFilter() ).set( filter.mask, filter.predicate );
+			
+		}
+		
+		return null;
+		
+	}
+	
+	function stopSearch () {
+		
+		return false;
+		
+	}
+	
+	function organizeObjectsByObject ( objects, results, resultsByUUID ) {
+		
+		// results may be a list from a previous search, its result data is cleared and reused
+		// results by uuid is a map kept between searches, left empty when done
+		
+		var i, l,
+			objectData,
+			object,
+			resultData,
+			count = 0;
+			
+		results = isArray( results ) ? results : [];
+			
+		// for each object data found
+		
+		for ( i = 0, l = objects.length; i < l; i++ ) {
+			
+			objectData = objects[ i ];
+			object = objectData.object;
+			
+			resultData = resultsByUUID[ object.uuid ];
+			
+			// if needed, reuse or create new result data
+			
+			if ( typeof resultData === 'undefined' ) {
 				
-				index = indexOfValue( this.objects, object );
+				resultData = results[ count ];
 				
-				if ( index !== -1 ) {
-					
-					this.objects.splice( index, 1 );
+				if ( resultData && isArray( resultData.faces ) && isArray( resultData.vertices ) ) {
 					
-					// remove from nodes
+					resultData.object = object;
+					resultData.faces.length = 0;
+					resultData.vertices.length = 0;
 					
-					objectsDataRemoved = this.root.removeObject( objectData );
+				} else {
 					
-					// remove from objects data list
+					resultData = {
+						object: object,
+						faces: [],
+						vertices: []
+					};
 					
-					for ( i = 0, l = objectsDataRemoved.length; i < l; i++ ) {
-						
-						objectData = objectsDataRemoved[ i ];
-						
-						index = indexOfValue( this.objectsData, objectData );
-						
-						if ( index !== -1 ) {
-							
-							this.objectsData.splice( index, 1 );
-							
-						}
-						
-					}
+					results[ count ] = resultData;
 					
 				}
 				
-			} else if ( this.objectsDeferred.length > 0 ) {
+				resultsByUUID[ object.uuid ] = resultData;
+				count++;
 				
-				// check and remove from deferred
+			}
+			
+			// object data has faces or vertices, add to list
+			
+			if ( objectData.faces ) {
 				
-				index = indexOfPropertyWithValue( this.objectsDeferred, 'object', object );
+				resultData.faces.push( objectData.faces );
 				
-				if ( index !== -1 ) {
-					
-					this.objectsDeferred.splice( index, 1 );
-					
-				}
+			} else if ( objectData.vertices ) {
+				
+				resultData.vertices.push( objectData.vertices );
 				
 			}
 			
+		}
+		
+		results.length = count;
+		
+		for ( i = 0; i < count; i++ ) {
+			
+			delete resultsByUUID[ results[ i ].object.uuid ];
+			
+		}
+		
+		return results;
+		
+	}
+	
+	function QueryFilter ( mask, predicate ) {
+		
+		// mask is tested against node subtree masks first, so predicate only sees objects in matching categories
+		
+		this.set( mask, predicate );
+		
+	}
+	
+	QueryFilter.prototype = {
+		
+		set: function ( mask, predicate ) {
+			
+			this.mask = typeof mask === 'number' ? mask | 0 : null;
+			this.predicate = typeof predicate === 'function' ? predicate : null;
+			
+			return this;
+			
 		},
 		
-		extend: function ( octree ) {
+		testNode: function ( node ) {
 			
-			var i, l,
-				objectsData,
-				objectData;
-				
-			if ( octree instanceof THREE.Octree ) {
+			return this.mask === null || ( node.mask & this.mask ) !== 0;
+			
+		},
+		
+		testObject: function ( objectData ) {
+			
+			return ( this.mask === null || ( objectData.mask & this.mask ) !== 0 ) && ( this.predicate === null || !!this.predicate( objectData ) );
+			
+		}
+		
+	};
+	
+	function BinaryHeap () {
+		
+		// min heap of items with a numeric key, used for best first traversals
+		
+		this.items = [];
+		
+	}
+	
+	BinaryHeap.prototype = {
+		
+		push: function ( item ) {
+			
+			var items = this.items,
+				index = items.length,
+				indexParent,
+				parent;
 				
-				// for each object data
+			items.push( item );
+			
+			// bubble up
+			
+			while ( index > 0 ) {
 				
-				objectsData = octree.objectsData;
+				indexParent = ( index - 1 ) >> 1;
+				parent = items[ indexParent ];
 				
-				for ( i = 0, l = objectsData.length; i < l; i++ ) {
+				if ( parent.key <= item.key ) {
 					
-					objectData = objectsData[ i ];
-					
-					this.add( objectData, { useFaces: objectData.faces, useVertices: objectData.vertices } );
+					break;
 					
 				}
 				
+				items[ index ] = parent;
+				index = indexParent;
+				
 			}
 			
+			items[ index ] = item;
+			
 		},
 		
-		rebuild: function () {
-			
-			var i, l,
-				node,
-				object,
-				objectData,
-				indexOctant,
-				indexOctantLast,
-				objectsUpdate = [];
-			
-			// check all object data for changes in position
-			// assumes all object matrices are up to date
+		pop: function () {
 			
-			for ( i = 0, l = this.objectsData.length; i < l; i++ ) {
-				
-				objectData = this.objectsData[ i ];
+			var items = this.items,
+				top = items[ 0 ],
+				last = items.pop(),
+				length = items.length,
+				index = 0,
+				indexChild,
+				child;
 				
-				node = objectData.node;
-				
-				// update object
-				
-				objectData.update();
+			if ( length > 0 ) {
 				
-				// if position has changed since last organization of object in tree
+				// sink down
 				
-				if ( node instanceof THREE.OctreeNode && !objectData.positionLast.equals( objectData.position ) ) {
+				while ( true ) {
 					
-					// get octant index of object within current node
+					indexChild = index * 2 + 1;
 					
-					indexOctantLast = objectData.indexOctant;
+					if ( indexChild >= length ) {
+						
+						break;
+						
+					}
 					
-					indexOctant = node.getOctantIndex( objectData );
+					if ( indexChild + 1 < length && items[ indexChild + 1 ].key < items[ indexChild ].key ) {
+						
+						indexChild++;
+						
+					}
 					
-					// if object octant index has changed
+					child = items[ indexChild ];
 					
-					if ( indexOctant !== indexOctantLast ) {
-						
-						// add to update list
+					if ( last.key <= child.key ) {
 						
-						objectsUpdate.push( objectData );
+						break;
 						
 					}
 					
+					items[ index ] = child;
+					index = indexChild;
+					
 				}
 				
-			}
-			
-			// update changed objects
-			
-			for ( i = 0, l = objectsUpdate.length; i < l; i++ ) {
-				
-				objectData = objectsUpdate[ i ];
-				
-				// remove object from current node
-				
-				objectData.node.removeObject( objectData );
-				
-				// add object to tree root
-				
-				this.root.addObject( objectData );
+				items[ index ] = last;
 				
 			}
 			
+			return top;
+			
 		},
 		
-		updateObject: function ( object ) {
+		peek: function () {
 			
-			var i, l,
-				parentCascade = [ object ],
-				parent,
-				parentUpdate;
+			return this.items[ 0 ];
 			
-			// search all parents between object and root for world matrix update
+		},
+		
+		size: function () {
 			
-			parent = object.parent;
+			return this.items.length;
 			
-			while( parent ) {
-				
-				parentCascade.push( parent );
-				parent = parent.parent;
-				
-			}
+		}
+		
+	};
+
+	/*===================================================
+
+	compatibility
+
+	=====================================================*/
+
+	// three has removed or renamed several apis since r60
+	// resolve each once at load time so call sites stay the same for any release
+	
+	var BoxGeometry = THREE.BoxGeometry || THREE.CubeGeometry;
+	
+	var Face3 = typeof THREE.Face3 === 'function' ? THREE.Face3 : undefined;
+	
+	var Face4 = typeof THREE.Face4 === 'function' ? THREE.Face4 : undefined;
+	
+	var generateUUID = ( THREE.MathUtils && THREE.MathUtils.generateUUID ) || ( THREE.Math && THREE.Math.generateUUID ) || ( function () {
+		
+		var count = 0;
+		
+		return function () {
 			
-			for ( i = 0, l = parentCascade.length; i < l; i++ ) {
-				
-				parent = parentCascade[ i ];
+			return 'octree-' + ( count++ ) + '-' + Math.random().toString( 36 ).slice( 2 );
+			
+		};
+		
+	}() );
+	
+	var setFromMatrixPosition = typeof THREE.Vector3.prototype.setFromMatrixPosition === 'function' ? function ( vector, matrix ) {
+		
+		return vector.setFromMatrixPosition( matrix );
+		
+	} : function ( vector, matrix ) {
+		
+		return vector.getPositionFromMatrix( matrix );
+		
+	};
+	
+	function isFace3 ( part ) {
+		return Face3 !== undefined && part instanceof Face3;
+	}
+	
+	function isFace4 ( part ) {
+		return Face4 !== undefined && part instanceof Face4;
+	}
+	
+	function getFaceCentroid ( face ) {
+		
+		// centroid was removed from faces, bounding radius helpers store it on the face
+		
+		return face.centroid instanceof THREE.Vector3 ? face.centroid : new THREE.Vector3();
+		
+	}
+	
+	function getBoundRadius ( object ) {
+		
+		// boundRadius was removed from Object3D, objects without geometry have no size
+		
+		return isNumber( object.boundRadius ) ? object.boundRadius : 0;
+		
+	}
+
+	/*===================================================
+
+	octree
+
+	=====================================================*/
+
+	function Octree ( parameters ) {
+		
+		// handle parameters
+		
+		parameters = parameters || {};
+		
+		parameters.tree = this;
+		
+		// static properties ( modification is not recommended )
+		
+		this.nodeCount = 0;
+		
+		this.INDEX_INSIDE_CROSS = -1;
+		this.INDEX_OUTSIDE_OFFSET = 2;
+		
+		this.INDEX_OUTSIDE_POS_X = isNumber( parameters.INDEX_OUTSIDE_POS_X ) ? parameters.INDEX_OUTSIDE_POS_X : 0;
+		this.INDEX_OUTSIDE_NEG_X = isNumber( parameters.INDEX_OUTSIDE_NEG_X ) ? parameters.INDEX_OUTSIDE_NEG_X : 1;
+		this.INDEX_OUTSIDE_POS_Y = isNumber( parameters.INDEX_OUTSIDE_POS_Y ) ? parameters.INDEX_OUTSIDE_POS_Y : 2;
+		this.INDEX_OUTSIDE_NEG_Y = isNumber( parameters.INDEX_OUTSIDE_NEG_Y ) ? parameters.INDEX_OUTSIDE_NEG_Y : 3;
+		this.INDEX_OUTSIDE_POS_Z = isNumber( parameters.INDEX_OUTSIDE_POS_Z ) ? parameters.INDEX_OUTSIDE_POS_Z : 4;
+		this.INDEX_OUTSIDE_NEG_Z = isNumber( parameters.INDEX_OUTSIDE_NEG_Z ) ? parameters.INDEX_OUTSIDE_NEG_Z : 5;
+		
+		this.INDEX_OUTSIDE_MAP = [];
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_X ] = { index: this.INDEX_OUTSIDE_POS_X, count: 0, x: 1, y: 0, z: 0 };
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_X ] = { index: this.INDEX_OUTSIDE_NEG_X, count: 0, x: -1, y: 0, z: 0 };
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_Y ] = { index: this.INDEX_OUTSIDE_POS_Y, count: 0, x: 0, y: 1, z: 0 };
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_Y ] = { index: this.INDEX_OUTSIDE_NEG_Y, count: 0, x: 0, y: -1, z: 0 };
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_POS_Z ] = { index: this.INDEX_OUTSIDE_POS_Z, count: 0, x: 0, y: 0, z: 1 };
+		this.INDEX_OUTSIDE_MAP[ this.INDEX_OUTSIDE_NEG_Z ] = { index: this.INDEX_OUTSIDE_NEG_Z, count: 0, x: 0, y: 0, z: -1 };
+		
+		this.FLAG_POS_X = 1 << ( this.INDEX_OUTSIDE_POS_X + 1 );
+		this.FLAG_NEG_X = 1 << ( this.INDEX_OUTSIDE_NEG_X + 1 );
+		this.FLAG_POS_Y = 1 << ( this.INDEX_OUTSIDE_POS_Y + 1 );
+		this.FLAG_NEG_Y = 1 << ( this.INDEX_OUTSIDE_NEG_Y + 1 );
+		this.FLAG_POS_Z = 1 << ( this.INDEX_OUTSIDE_POS_Z + 1 );
+		this.FLAG_NEG_Z = 1 << ( this.INDEX_OUTSIDE_NEG_Z + 1 );
+		
+		this.utilVec31Search = new THREE.Vector3();
+		this.utilVec32Search = new THREE.Vector3();
+		this.utilObjectsSearch = [];
+		this.utilFilterSearch = new QueryFilter();
+		this.utilResultsByUUID = {};
+		this.utilVec31Raycast = new THREE.Vector3();
+		this.utilVec32Raycast = new THREE.Vector3();
+		this.utilVec33Raycast = new THREE.Vector3();
+		this.utilVec34Raycast = new THREE.Vector3();
+		this.utilVec35Raycast = new THREE.Vector3();
+		this.utilVec31Occlusion = new THREE.Vector3();
+		this.utilVec32Occlusion = new THREE.Vector3();
+		this.utilVec33Occlusion = new THREE.Vector3();
+		this.utilVec34Occlusion = new THREE.Vector3();
+		this.utilVec35Occlusion = new THREE.Vector3();
+		
+		// pass scene to see octree structure
+		
+		this.scene = parameters.scene;
+		
+		if ( this.scene ) {
+			
+			this.visualGeometry = new BoxGeometry( 1, 1, 1 );
+			this.visualMaterial = new THREE.MeshBasicMaterial( { color: 0xFF0066, wireframe: true, wireframeLinewidth: 1 } );
+			
+		}
+		
+		// properties
+		
+		this.objects = [];
+		this.objectsMap = {};
+		this.objectsData = [];
+		this.objectsDeferred = [];
+		
+		this.depthMax = isNumber( parameters.depthMax ) ? parameters.depthMax : Infinity;
+		this.objectsThreshold = isNumber( parameters.objectsThreshold ) ? parameters.objectsThreshold : 8;
+		this.overlapPct = isNumber( parameters.overlapPct ) ? parameters.overlapPct : 0.15;
+		this.undeferred = parameters.undeferred || false;
+		
+		this.root = parameters.root instanceof OctreeNode ? parameters.root : new OctreeNode( parameters );
+		
+	}
+
+	Octree.prototype = {
+		
+		update: function () {
+			
+			// add any deferred objects that were waiting for render cycle
+			
+			if ( this.objectsDeferred.length > 0 ) {
 				
-				if ( parent.matrixWorldNeedsUpdate === true ) {
+				for ( var i = 0, il = this.objectsDeferred.length; i < il; i++ ) {
 					
-					parentUpdate = parent;
+					var deferred = this.objectsDeferred[ i ];
+					
+					this.addDeferred( deferred.object, deferred.options );
 					
 				}
 				
+				this.objectsDeferred.length = 0;
+				
 			}
 			
-			// update world matrix starting at uppermost parent that needs update
+		},
+		
+		add: function ( object, options ) {
 			
-			if ( typeof parentUpdate !== 'undefined' ) {
+			// add immediately
+			
+			if ( this.undeferred ) {
 				
-				parentUpdate.updateMatrixWorld();
+				this.updateObject( object );
+				
+				this.addDeferred( object, options );
+				
+			} else {
+				
+				// defer add until update called
+				
+				this.objectsDeferred.push( { object: object, options: options } );
 				
 			}
 			
 		},
 		
-		search: function ( position, radius, organizeByObject, direction ) {
+		addDeferred: function ( object, options ) {
 			
 			var i, l,
-				node,
-				objects,
-				objectData,
-				object,
-				results,
-				resultData,
-				resultsObjectsIndices,
-				resultObjectIndex,
-				directionPct;
-			
-			// add root objects
-			
-			objects = [].concat( this.root.objects );
+				j, k,
+				geometry,
+				faces,
+				useFaces,
+				vertices,
+				useVertices,
+				ranges,
+				range,
+				vertexIndex,
+				verticesAdded,
+				mask,
+				objectData;
 			
-			// ensure radius (i.e. distance of ray) is a number
+			// ensure object is not object data
 			
-			if ( !( radius > 0 ) ) {
+			if ( object instanceof OctreeObjectData ) {
 				
-				radius = Number.MAX_VALUE;
+				object = object.object;
 				
 			}
 			
-			// if direction passed, normalize and find pct
+			// check uuid to avoid duplicates
 			
-			if ( direction instanceof THREE.Vector3 ) {
+			if ( !object.uuid ) {
 				
-				direction = this.utilVec31Search.copy( direction ).normalize();
-				directionPct = this.utilVec32Search.set( 1, 1, 1 ).divide( direction );
+				object.uuid = generateUUID();
 				
 			}
 			
-			// search each node of root
-			
-			for ( i = 0, l = this.root.nodesIndices.length; i < l; i++ ) {
+			if ( !this.objectsMap[ object.uuid ] ) {
 				
-				node = this.root.nodesByIndex[ this.root.nodesIndices[ i ] ];
+				// store
 				
-				objects = node.search( position, radius, objects, direction, directionPct );
+				this.objects.push( object );
+				this.objectsMap[ object.uuid ] = object;
 				
-			}
-			
-			// if should organize results by object
-			
-			if ( organizeByObject === true ) {
+				// check options
 				
-				results = [];
-				resultsObjectsIndices = [];
+				if ( options ) {
+					
+					useFaces = options.useFaces;
+					useVertices = options.useVertices;
+					mask = options.mask;
+					
+				}
 				
-				// for each object data found
+				geometry = object.geometry;
 				
-				for ( i = 0, l = objects.length; i < l; i++ ) {
+				if ( useVertices === true && geometry instanceof THREE.BufferGeometry ) {
 					
-					objectData = objects[ i ];
-					object = objectData.object;
+					// buffer vertices are referenced by index into position attribute
 					
-					resultObjectIndex = indexOfValue( resultsObjectsIndices, object );
+					ranges = getBufferRanges( geometry, object.material );
+					verticesAdded = {};
 					
-					// if needed, create new result data
-					
-					if ( resultObjectIndex === -1 ) {
-						
-						resultData = {
-							object: object,
-							faces: [],
-							vertices: []
-						};
+					for ( i = 0, l = ranges.length; i < l; i++ ) {
 						
-						results.push( resultData );
+						range = ranges[ i ];
 						
-						resultsObjectsIndices.push( object );
+						for ( j = range.start, k = range.end; j < k; j++ ) {
+							
+							vertexIndex = getBufferVertexIndex( geometry, j );
+							
+							if ( verticesAdded[ vertexIndex ] !== true ) {
+								
+								verticesAdded[ vertexIndex ] = true;
+								
+								this.addObjectData( object, vertexIndex, mask );
+								
+							}
+							
+						}
 						
-					} else {
+					}
+					
+				} else if ( useVertices === true ) {
+					
+					vertices = geometry.vertices;
+					
+					for ( i = 0, l = vertices.length; i < l; i++ ) {
 						
-						resultData = results[ resultObjectIndex ];
+						this.addObjectData( object, vertices[ i ], mask );
 						
 					}
 					
-					// object data has faces or vertices, add to list
+				} else if ( useFaces === true && geometry instanceof THREE.BufferGeometry ) {
 					
-					if ( objectData.faces ) {
+					// buffer faces are triangles of vertex indices into position attribute
+					
+					ranges = getBufferRanges( geometry, object.material );
+					
+					for ( i = 0, l = ranges.length; i < l; i++ ) {
 						
-						resultData.faces.push( objectData.faces );
+						range = ranges[ i ];
+						
+						for ( j = range.start, k = range.end - 2; j < k; j += 3 ) {
+							
+							this.addObjectData( object, {
+								a: getBufferVertexIndex( geometry, j ),
+								b: getBufferVertexIndex( geometry, j + 1 ),
+								c: getBufferVertexIndex( geometry, j + 2 ),
+								materialIndex: range.materialIndex,
+								faceIndex: Math.floor( j / 3 ),
+								centroid: new THREE.Vector3()
+							}, mask );
+							
+						}
 						
-					} else if ( objectData.vertices ) {
+					}
+					
+				} else if ( useFaces === true ) {
+					
+					faces = geometry.faces;
+					
+					for ( i = 0, l = faces.length; i < l; i++ ) {
 						
-						resultData.vertices.push( objectData.vertices );
+						this.addObjectData( object, faces[ i ], mask );
 						
 					}
 					
+				} else {
+					
+					this.addObjectData( object, undefined, mask );
+					
 				}
 				
-			} else {
+			}
+			
+		},
+		
+		addObjectData: function ( object, part, mask ) {
+			
+			var objectData = new OctreeObjectData( object, part, mask );
+			
+			// add to tree objects data list
+			
+			objectData.index = this.objectsData.length;
+			this.objectsData.push( objectData );
+			
+			// add to nodes
+			
+			this.root.addObject( objectData );
+			
+		},
+		
+		remove: function ( object ) {
+			
+			var i, j, l,
+				objectData = object,
+				index,
+				indexMin,
+				objectsDataRemoved;
+
+			// ensure object is not object data for index search
+			
+			if ( object instanceof OctreeObjectData ) {
 				
-				results = objects;
+				object = object.object;
 				
 			}
 			
-			return results;
+			// check uuid
 			
-		},
+			if ( this.objectsMap[ object.uuid ] ) {
+				
+				this.objectsMap[ object.uuid ] = undefined;
+				
+				// check and remove from objects, nodes, and data lists
+				
+				index = indexOfValue( this.objects, object );
+				
+				if ( index !== -1 ) {
+					
+					this.objects.splice( index, 1 );
+					
+					// remove from nodes
+					
+					objectsDataRemoved = this.root.removeObject( objectData );
+					
+					// remove from objects data list, keeping index of each object data in step
 
-		findClosestVertex: function(position, radius) {
+					indexMin = this.objectsData.length;
+					
+					for ( i = 0, l = objectsDataRemoved.length; i < l; i++ ) {
+						
+						objectData = objectsDataRemoved[ i ];
+						
+						if ( objectData.index !== -1 ) {
 
-			var search = this.search(position, radius, true);
+							indexMin = Math.min( indexMin, objectData.index );
+							objectData.index = -1;
 
-			if (!search[0]) {
+						}
 
-				return null;
-
-			}
-
-			var object = search[0].object,
-				vertices = search[0].vertices;
-
-			if( vertices.length === 0 ){
-
-				return null;
-
-			}
-
-			var distance,
-				vertex = null,
-				localPosition = object.worldToLocal(position.clone());
-
-			for (var i = 0, il = vertices.length; i <il; i++) {
-
-				distance = vertices[i].distanceTo(localPosition);
+					}
 
-				if (distance > radius) {
+					for ( i = j = indexMin, l = this.objectsData.length; i < l; i++ ) {
 
-					continue;
+						objectData = this.objectsData[ i ];
+						
+						if ( objectData.index !== -1 ) {
+							
+							objectData.index = j;
+							this.objectsData[ j++ ] = objectData;
+							
+						}
+						
+					}
+					
+					this.objectsData.length = j;
 
 				}
-
-				// use distance in new comparison to find the closest point
-
-				radius = distance;
-
-				vertex = vertices[i];
-
-			}
-
-			if (vertex === null) {
-
-				return null;
-
-			}
-
-			return object.localToWorld( vertex.clone() );
-
-		},
-		
-		setRoot: function ( root ) { 
-			
-			if ( root instanceof THREE.OctreeNode ) {
 				
-				// store new root
+			} else if ( this.objectsDeferred.length > 0 ) {
 				
-				this.root = root;
+				// check and remove from deferred
 				
-				// update properties
+				index = indexOfPropertyWithValue( this.objectsDeferred, 'object', object );
 				
-				this.root.updateProperties();
+				if ( index !== -1 ) {
+					
+					this.objectsDeferred.splice( index, 1 );
+					
+				}
 				
 			}
 			
 		},
 		
-		getDepthEnd: function () {
+		setMask: function ( object, mask ) {
 			
-			return this.root.getDepthEnd();
+			// set category mask of all object data for object, or without mask go back to object layers
 			
-		},
-		
-		getNodeCountEnd: function () {
+			var i, l,
+				objectData;
+				
+			if ( object instanceof OctreeObjectData ) {
+				
+				object = object.object;
+				
+			}
 			
-			return this.root.getNodeCountEnd();
+			for ( i = 0, l = this.objectsData.length; i < l; i++ ) {
+				
+				objectData = this.objectsData[ i ];
+				
+				if ( objectData.object === object ) {
+					
+					objectData.setMask( mask );
+					
+				}
+				
+			}
 			
 		},
 		
-		getObjectCountEnd: function () {
+		extend: function ( octree ) {
 			
-			return this.root.getObjectCountEnd();
+			var i, l,
+				objectsData,
+				objectData;
+				
+			if ( octree instanceof Octree ) {
+				
+				// for each object data
+				
+				objectsData = octree.objectsData;
+				
+				for ( i = 0, l = objectsData.length; i < l; i++ ) {
+					
+					objectData = objectsData[ i ];
+					
+					this.add( objectData, { useFaces: objectData.faces, useVertices: objectData.vertices } );
+					
+				}
+				
+			}
 			
 		},
 		
-		toConsole: function () {
-			
-			this.root.toConsole();
-			
-		}
-		
-	};
-
-	/*===================================================
-
-	object data
-
-	=====================================================*/
-
-	THREE.OctreeObjectData = function ( object, part ) {
-		
-		// properties
-		
-		this.object = object;
-		
-		// handle part by type
-		
-		if ( part instanceof THREE.Face3 ) {
-			
-			this.faces = part;
-			this.face3 = true;
-			this.utilVec31FaceBounds = new THREE.Vector3();
-			
-		} else if ( part instanceof THREE.Face4 ) {
-			
-			this.face4 = true;
-			this.faces = part;
-			this.utilVec31FaceBounds = new THREE.Vector3();
-			
-		} else if ( part instanceof THREE.Vector3 ) {
-			
-			this.vertices = part;
-			
-		}
-		
-		this.radius = 0;
-		this.position = new THREE.Vector3();
-			
-		// initial update
-		
-		if ( this.object instanceof THREE.Object3D ) {
+		rebuild: function () {
 			
-			this.update();
+			var i, l,
+				node,
+				object,
+				objectData,
+				indexOctant,
+				indexOctantLast,
+				mask,
+				objectsUpdate = [];
 			
-		}
-		else {
-
-			// Generic object
-			this.position.set( object.x, object.y, object.z );
-			this.radius = object.radius;
-
-		}
-		
-		this.positionLast = this.position.clone();
-		
-	};
-
-	THREE.OctreeObjectData.prototype = {
-		
-		update: function () {
+			// check all object data for changes in position
+			// assumes all object matrices are up to date
 			
-			if ( this.face3 ) {
+			for ( i = 0, l = this.objectsData.length; i < l; i++ ) {
 				
-				this.radius = this.getFace3BoundingRadius( this.object, this.faces );
-				this.position.copy( this.faces.centroid ).applyMatrix4( this.object.matrixWorld );
+				objectData = this.objectsData[ i ];
 				
-			} else if ( this.face4 ) {
+				node = objectData.node;
 				
-				this.radius = this.getFace4BoundingRadius( this.object, this.faces );
-				this.position.copy( this.faces.centroid ).applyMatrix4( this.object.matrixWorld );
+				// update object
 				
-			} else if ( this.vertices ) {
-
-				if ( this.object.geometry.boundingSphere === null ) {
-
-					this.object.geometry.computeBoundingSphere();
-
+				mask = objectData.mask;
+				
+				objectData.update();
+				
+				// category may change with object layers
+				
+				if ( node instanceof OctreeNode && objectData.mask !== mask ) {
+					
+					node.updateMask();
+					
 				}
-
-				this.radius = this.object.geometry.boundingSphere.radius;
-				this.position.copy( this.vertices ).applyMatrix4( this.object.matrixWorld );
 				
-			} else {
+				// if position has changed since last organization of object in tree
 				
-				if ( this.object.geometry ) {
+				if ( node instanceof OctreeNode && !objectData.positionLast.equals( objectData.position ) ) {
 					
-					if ( this.object.geometry.boundingSphere === null ) {
-						
-						this.object.geometry.computeBoundingSphere();
-						
-					}
+					// get octant index of object within current node
 					
-					this.radius = this.object.geometry.boundingSphere.radius;
-					this.position.copy( this.object.geometry.boundingSphere.center ).applyMatrix4( this.object.matrixWorld );
+					indexOctantLast = objectData.indexOctant;
 					
-				} else {
+					indexOctant = node.getOctantIndex( objectData );
+					
+					// if object octant index has changed
 					
-					this.radius = this.object.boundRadius;
-					this.position.getPositionFromMatrix( this.object.matrixWorld );
+					if ( indexOctant !== indexOctantLast ) {
+						
+						// add to update list
+						
+						objectsUpdate.push( objectData );
+						
+					}
 					
 				}
 				
 			}
 			
-			this.radius = this.radius * Math.max( this.object.scale.x, this.object.scale.y, this.object.scale.z );
+			// update changed objects
+			
+			for ( i = 0, l = objectsUpdate.length; i < l; i++ ) {
+				
+				objectData = objectsUpdate[ i ];
+				
+				// remove object from current node
+				
+				objectData.node.removeObject( objectData );
+				
+				// add object to tree root
+				
+				this.root.addObject( objectData );
+				
+			}
 			
 		},
 		
-		getFace3BoundingRadius: function ( object, face ) {
+		updateObject: function ( object ) {
 			
-			var geometry = object.geometry || object,
-				vertices = geometry.vertices,
-				centroid = face.centroid,
-				va = vertices[ face.a ], vb = vertices[ face.b ], vc = vertices[ face.c ],
-				centroidToVert = this.utilVec31FaceBounds,
-				radius;
-				
-			centroid.addVectors( va, vb ).add( vc ).divideScalar( 3 );
-			radius = Math.max( centroidToVert.subVectors( centroid, va ).length(), centroidToVert.subVectors( centroid, vb ).length(), centroidToVert.subVectors( centroid, vc ).length() );
+			var i, l,
+				parentCascade = [ object ],
+				parent,
+				parentUpdate;
 			
-			return radius;
+			// search all parents between object and root for world matrix update
 			
-		},
-		
-		getFace4BoundingRadius: function ( object, face ) {
+			parent = object.parent;
 			
-			var geometry = object.geometry || object,
-				vertices = geometry.vertices,
-				centroid = face.centroid,
-				va = vertices[ face.a ], vb = vertices[ face.b ], vc = vertices[ face.c ], vd = vertices[ face.d ],
-				centroidToVert = this.utilVec31FaceBounds,
-				radius;
+			while( parent ) {
 				
-			centroid.addVectors( va, vb ).add( vc ).add( vd ).divideScalar( 4 );
-			radius = Math.max( centroidToVert.subVectors( centroid, va ).length(), centroidToVert.subVectors( centroid, vb ).length(), centroidToVert.subVectors( centroid, vc ).length(), centroidToVert.subVectors( centroid, vd ).length() );
+				parentCascade.push( parent );
+				parent = parent.parent;
+				
+			}
 			
-			return radius;
-			
-		}
-		
-	};
-
-	/*===================================================
-
-	node
-
-	=====================================================*/
-
-	THREE.OctreeNode = function ( parameters ) {
-		
-		// utility
-		
-		this.utilVec31Branch = new THREE.Vector3();
-		this.utilVec31Expand = new THREE.Vector3();
-		this.utilVec31Ray = new THREE.Vector3();
-		
-		// handle parameters
-		
-		parameters = parameters || {};
-		
-		// store or create tree
-		
-		if ( parameters.tree instanceof THREE.Octree ) {
-			
-			this.tree = parameters.tree;
-			
-		} else if ( parameters.parent instanceof THREE.OctreeNode !== true ) {
-			
-			parameters.root = this;
-			
-			this.tree = new THREE.Octree( parameters );
-			
-		}
-		
-		// basic properties
-		
-		this.id = this.tree.nodeCount++;
-		this.position = parameters.position instanceof THREE.Vector3 ? parameters.position : new THREE.Vector3();
-		this.radius = parameters.radius > 0 ? parameters.radius : 1;
-		this.indexOctant = parameters.indexOctant;
-		this.depth = 0;
-		
-		// reset and assign parent
-		
-		this.reset();
-		this.setParent( parameters.parent );
-		
-		// additional properties
-		
-		this.overlap = this.radius * this.tree.overlapPct;
-		this.radiusOverlap = this.radius + this.overlap;
-		this.left = this.position.x - this.radiusOverlap;
-		this.right = this.position.x + this.radiusOverlap;
-		this.bottom = this.position.y - this.radiusOverlap;
-		this.top = this.position.y + this.radiusOverlap;
-		this.back = this.position.z - this.radiusOverlap;
-		this.front = this.position.z + this.radiusOverlap;
-		
-		// visual
-		
-		if ( this.tree.scene ) {
-			
-			this.visual = new THREE.Mesh( this.tree.visualGeometry, this.tree.visualMaterial );
-			this.visual.scale.set( this.radiusOverlap * 2, this.radiusOverlap * 2, this.radiusOverlap * 2 );
-			this.visual.position.copy( this.position );
-			this.tree.scene.add( this.visual );
-			
-		}
-		
-	};
-
-	THREE.OctreeNode.prototype = {
-		
-		setParent: function ( parent ) {
-			
-			// store new parent
-			
-			if ( parent !== this && this.parent !== parent ) {
+			for ( i = 0, l = parentCascade.length; i < l; i++ ) {
 				
-				this.parent = parent;
+				parent = parentCascade[ i ];
 				
-				// update properties
+				if ( parent.matrixWorldNeedsUpdate === true ) {
+					
+					parentUpdate = parent;
+					
+				}
 				
-				this.updateProperties();
+			}
+			
+			// update world matrix starting at uppermost parent that needs update
+			
+			if ( typeof parentUpdate !== 'undefined' ) {
+				
+				parentUpdate.updateMatrixWorld();
 				
 			}
 			
 		},
 		
-		updateProperties: function () {
-			
-			var i, l;
+		search: function ( position, radius, organizeByObject, direction, options ) {
 			
-			// properties
+			var i, l,
+				node,
+				objects,
+				results,
+				directionPct,
+				exact,
+				filterSearch,
+				filter,
+				target;
+				
+			// options may test each object exactly, filter, and give a target list to fill
+			// filter is set on one kept between searches and taken while in use, in case a filter searches again
 			
-			if ( this.parent instanceof THREE.OctreeNode ) {
+			if ( options ) {
 				
-				this.tree = this.parent.tree;
-				this.depth = this.parent.depth + 1;
+				exact = options.exact === true;
+				target = options.target;
 				
-			} else {
+				filterSearch = this.utilFilterSearch || new QueryFilter();
+				this.utilFilterSearch = null;
 				
-				this.depth = 0;
+				filter = getQueryFilter( options.filter, filterSearch );
 				
 			}
 			
-			// cascade
+			// ensure radius (i.e. distance of ray) is a number
 			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+			if ( !( radius > 0 ) ) {
 				
-				this.nodesByIndex[ this.nodesIndices[ i ] ].updateProperties();
+				radius = Number.MAX_VALUE;
 				
 			}
 			
-		},
-		
-		reset: function ( cascade, removeVisual ) {
-			
-			var i, l,
-				node,
-				nodesIndices = this.nodesIndices || [],
-				nodesByIndex = this.nodesByIndex;
+			// if direction passed, normalize and find pct
 			
-			this.objects = [];
-			this.nodesIndices = [];
-			this.nodesByIndex = {};
+			if ( direction instanceof THREE.Vector3 ) {
+				
+				direction = this.utilVec31Search.copy( direction ).normalize();
+				directionPct = this.utilVec32Search.set( 1, 1, 1 ).divide( direction );
+				
+			}
 			
-			// unset parent in nodes
+			// when organizing, gather object data in a list kept between searches, otherwise in target
+			// list is taken while in use, in case a filter searches again
 			
-			for ( i = 0, l = nodesIndices.length; i < l; i++ ) {
+			if ( organizeByObject === true ) {
 				
-				node = nodesByIndex[ nodesIndices[ i ] ];
+				objects = this.utilObjectsSearch || [];
+				this.utilObjectsSearch = null;
 				
-				node.setParent( undefined );
+			} else {
 				
-				if ( cascade === true ) {
-					
-					node.reset( cascade, removeVisual );
-					
-				}
+				objects = isArray( target ) ? target : [];
 				
 			}
 			
-			// visual
+			objects.length = 0;
 			
-			if ( removeVisual === true && this.visual && this.visual.parent ) {
+			// add root objects
+			
+			objects = this.root.searchObjects( position, radius, objects, direction, exact, filter );
+			
+			// search each node of root
+			
+			for ( i = 0, l = this.root.nodesIndices.length; i < l; i++ ) {
 				
-				this.visual.parent.remove( this.visual );
+				node = this.root.nodesByIndex[ this.root.nodesIndices[ i ] ];
+				
+				objects = node.search( position, radius, objects, direction, directionPct, exact, filter );
 				
 			}
 			
-		},
-		
-		addNode: function ( node, indexOctant ) {
-			
-			node.indexOctant = indexOctant;
+			// if should organize results by object
 			
-			if ( indexOfValue( this.nodesIndices, indexOctant ) === -1 ) {
+			if ( organizeByObject === true ) {
 				
-				this.nodesIndices.push( indexOctant );
+				results = organizeObjectsByObject( objects, target, this.utilResultsByUUID );
+				
+				// release object data for next search
+				
+				objects.length = 0;
+				this.utilObjectsSearch = objects;
+				
+			} else {
+				
+				results = objects;
 				
 			}
 			
-			this.nodesByIndex[ indexOctant ] = node;
+			// release filter for next search
 			
-			if ( node.parent !== this ) {
+			if ( filterSearch ) {
 				
-				node.setParent( this );
+				filterSearch.set( null, null );
+				this.utilFilterSearch = filterSearch;
 				
 			}
 			
+			return results;
+			
 		},
 		
-		removeNode: function ( indexOctant ) {
+		searchBox: function ( box, organizeByObject, filter ) {
 			
-			var index,
-				node;
-				
-			index = indexOfValue( this.nodesIndices, indexOctant );
+			return this.searchVolume( new BoxVolume( box ), organizeByObject, filter );
 			
-			this.nodesIndices.splice( index, 1 );
+		},
+		
+		searchFrustum: function ( frustum, organizeByObject, filter ) {
 			
-			node = node || this.nodesByIndex[ indexOctant ];
+			return this.searchConvex( frustum.planes, organizeByObject, filter );
 			
-			delete this.nodesByIndex[ indexOctant ];
+		},
+		
+		searchConvex: function ( planes, organizeByObject, filter ) {
 			
-			if ( node.parent === this ) {
-				
-				node.setParent( undefined );
-				
-			}
+			return this.searchVolume( new ConvexVolume( planes ), organizeByObject, filter );
 			
 		},
 		
-		addObject: function ( object ) {
+		searchCapsule: function ( start, end, radius, organizeByObject, filter ) {
 			
-			var index,
-				indexOctant,
-				node;
+			return this.searchVolume( new CapsuleVolume( start, end, radius ), organizeByObject, filter );
 			
-			// get object octant index
+		},
+		
+		searchSegment: function ( start, end, thickness, organizeByObject, filter ) {
 			
-			indexOctant = this.getOctantIndex( object );
+			// segment between endpoints, optionally thick, is a capsule
 			
-			// if object fully contained by an octant, add to subtree
-			if ( indexOctant > -1 && this.nodesIndices.length > 0 ) {
-				
-				node = this.branch( indexOctant );
-				
-				node.addObject( object );
+			return this.searchVolume( new CapsuleVolume( start, end, thickness ), organizeByObject, filter );
+			
+		},
+		
+		searchSweptSphere: function ( start, end, radius, filter ) {
+			
+			// sphere moving from start to end, results ordered by time of first contact
+			
+			var i, l,
+				objects = this.searchCapsule( start, end, radius, false, filter ),
+				objectData,
+				direction = this.utilVec31Search.subVectors( end, start ),
+				length = direction.length(),
+				distance,
+				results = [];
 				
-			} else if ( indexOctant < -1 && this.parent instanceof THREE.OctreeNode ) {
+			if ( length > 0 ) {
 				
-				// if object lies outside bounds, add to parent node
+				direction.divideScalar( length );
 				
-				this.parent.addObject( object );
+			}
+			
+			for ( i = 0, l = objects.length; i < l; i++ ) {
 				
-			} else {
+				objectData = objects[ i ];
 				
-				// add to this objects list
+				// first contact is where path enters object sphere grown by sweep radius
 				
-				index = indexOfValue( this.objects, object );
+				distance = length > 0 ? intersectRaySphere( start, direction, objectData.position, objectData.radius + radius ) : 0;
 				
-				if ( index === -1 ) {
+				if ( distance !== -1 && distance <= length ) {
 					
-					this.objects.push( object );
+					results.push( { objectData: objectData, time: length > 0 ? distance / length : 0, distance: distance } );
 					
 				}
 				
-				// node reference
-				
-				object.node = this;
-				
-				// check if need to expand, split, or both
+			}
+			
+			results.sort( function ( a, b ) {
 				
-				this.checkGrow();
+				return a.time - b.time;
 				
-			}
+			} );
+			
+			return results;
 			
 		},
 		
-		addObjectWithoutCheck: function ( objects ) {
+		searchCone: function ( apex, direction, angle, range, organizeByObject, filter ) {
 			
-			var i, l,
-				object;
-
-			for ( i = 0, l = objects.length; i < l; i++ ) {
-				
-				object = objects[ i ];
-				
-				this.objects.push( object );
-				
-				object.node = this;
-				
-			}
+			return this.searchVolume( new ConeVolume( apex, direction, angle, range ), organizeByObject, filter );
 			
 		},
 		
-		removeObject: function ( object ) {
+		searchPlane: function ( plane, mode, organizeByObject, filter ) {
 			
-			var i, l,
-				nodesRemovedFrom,
-				removeData;
+			return this.searchVolume( new PlaneVolume( plane, mode ), organizeByObject, filter );
 			
-			// cascade through tree to find and remove object
+		},
+		
+		searchOrientedBox: function ( center, halfSize, rotation, organizeByObject, filter ) {
 			
-			removeData = this.removeObjectRecursive( object, { searchComplete: false, nodesRemovedFrom: [], objectsDataRemoved: [] } );
+			return this.searchVolume( new OrientedBoxVolume( center, halfSize, rotation ), organizeByObject, filter );
 			
-			// if object removed, try to shrink the nodes it was removed from
+		},
+		
+		selectInScreenRegion: function ( camera, region, organizeByObject, filter ) {
 			
-			nodesRemovedFrom = removeData.nodesRemovedFrom;
+			// region is a rectangle with min and max or a polygon as a list of points, in normalized device coordinates
 			
-			if ( nodesRemovedFrom.length > 0 ) {
+			return this.searchVolume( new ScreenRegionVolume( camera, region ), organizeByObject, filter );
+			
+		},
+		
+		searchVolume: function ( volume, organizeByObject, filter ) {
+			
+			var objects = [];
+			
+			this.forEachInVolume( volume, function ( objectData ) {
 				
-				for ( i = 0, l = nodesRemovedFrom.length; i < l; i++ ) {
-					
-					nodesRemovedFrom[ i ].shrink();
-					
-				}
+				objects.push( objectData );
 				
-			}
+			}, filter );
 			
-			return removeData.objectsDataRemoved;
+			return organizeByObject === true ? organizeObjectsByObject( objects, undefined, this.utilResultsByUUID ) : objects;
 			
 		},
 		
-		removeObjectRecursive: function ( object, removeData ) {
+		forEachInSphere: function ( position, radius, callback, filter ) {
 			
-			var i, l,
-				index = -1,
-				objectData,
-				node,
-				objectRemoved;
+			return this.forEachInVolume( new SphereVolume( position, radius ), callback, filter );
 			
-			// find index of object in objects list
+		},
+		
+		forEachInRay: function ( origin, direction, distance, callback, filter ) {
 			
-			// search and remove object data (fast)
-			if ( object instanceof THREE.OctreeObjectData ) {
+			return this.forEachInVolume( new RayVolume( origin, direction, distance ), callback, filter );
+			
+		},
+		
+		forEachInBox: function ( box, callback, filter ) {
+			
+			return this.forEachInVolume( new BoxVolume( box ), callback, filter );
+			
+		},
+		
+		forEachInVolume: function ( volume, callback, filter ) {
+			
+			// volume classifies node bounds with intersectNode and tests object data with intersectObject
+			// calls back with each object data in volume until callback returns false, and returns false if stopped
+			
+			var i, l,
+				objectData;
 				
-				// remove from this objects list
+			filter = getQueryFilter( filter );
+			
+			// root may hold objects outside its bounds, so always test root objects
+			
+			for ( i = 0, l = this.root.objects.length; i < l; i++ ) {
 				
-				index = indexOfValue( this.objects, object );
+				objectData = this.root.objects[ i ];
 				
-				if ( index !== -1 ) {
-					
-					this.objects.splice( index, 1 );
-					object.node = undefined;
-					
-					removeData.objectsDataRemoved.push( object );
+				if ( ( filter === null || filter.testObject( objectData ) ) && volume.intersectObject( objectData ) === true && callback( objectData ) === false ) {
 					
-					removeData.searchComplete = objectRemoved = true;
+					return false;
 					
 				}
 				
-			} else {
+			}
 			
-				// search each object data for object and remove (slow)
+			// search each node of root
+			
+			for ( i = 0, l = this.root.nodesIndices.length; i < l; i++ ) {
 				
-				for ( i = this.objects.length - 1; i >= 0; i-- ) {
-					
-					objectData = this.objects[ i ];
+				if ( this.root.nodesByIndex[ this.root.nodesIndices[ i ] ].forEachInVolume( volume, callback, filter ) === false ) {
 					
-					if ( objectData.object === object ) {
-						
-						this.objects.splice( i, 1 );
-						objectData.node = undefined;
-						
-						removeData.objectsDataRemoved.push( objectData );
-						
-						objectRemoved = true;
-						
-						if ( !objectData.faces && !objectData.vertices ) {
-							
-							removeData.searchComplete = true;
-							break;
-							
-						}
-						
-					}
+					return false;
 					
 				}
 				
 			}
 			
-			// if object data removed and this is not on nodes removed from
+			return true;
 			
-			if ( objectRemoved === true ) {
-				
-				removeData.nodesRemovedFrom.push( this );
-				
-			}
+		},
+
+		countInSphere: function ( position, radius, filter ) {
 			
-			// if search not complete, search nodes
+			return this.countInVolume( new SphereVolume( position, radius ), filter );
 			
-			if ( removeData.searchComplete !== true ) {
-				
-				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
-					
-					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
-					
-					// try removing object from node
-					
-					removeData = node.removeObjectRecursive( object, removeData );
-					
-					if ( removeData.searchComplete === true ) {
-						
-						break;
-						
-					}
-					
-				}
-				
-			}
+		},
+		
+		countInRay: function ( origin, direction, distance, filter ) {
 			
-			return removeData;
+			return this.countInVolume( new RayVolume( origin, direction, distance ), filter );
 			
 		},
 		
-		checkGrow: function () {
-			
-			// if object count above max
+		countInBox: function ( box, filter ) {
 			
-			if ( this.objects.length > this.tree.objectsThreshold && this.tree.objectsThreshold > 0 ) {
-				
-				this.grow();
-				
-			}
+			return this.countInVolume( new BoxVolume( box ), filter );
 			
 		},
 		
-		grow: function () {
+		countInVolume: function ( volume, filter ) {
 			
-			var indexOctant,
-				object,
-				objectsExpand = [],
-				objectsExpandOctants = [],
-				objectsSplit = [],
-				objectsSplitOctants = [],
-				objectsRemaining = [],
-				i, l;
+			var i, l,
+				objectData,
+				count = 0;
+				
+			filter = getQueryFilter( filter );
 			
-			// for each object
+			// root may hold objects outside its bounds, so always test root objects
 			
-			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+			for ( i = 0, l = this.root.objects.length; i < l; i++ ) {
 				
-				object = this.objects[ i ];
-				
-				// get object octant index
-				
-				indexOctant = this.getOctantIndex( object );
-				
-				// if lies within octant
-				if ( indexOctant > -1 ) {
-					
-					objectsSplit.push( object );
-					objectsSplitOctants.push( indexOctant );
-				
-				} else if ( indexOctant < -1 ) {
-					
-					// lies outside radius
-					
-					objectsExpand.push( object );
-					objectsExpandOctants.push( indexOctant );
-					
-				} else {
+				objectData = this.root.objects[ i ];
 				
-					// lies across bounds between octants
+				if ( ( filter === null || filter.testObject( objectData ) ) && volume.intersectObject( objectData ) === true ) {
 					
-					objectsRemaining.push( object );
+					count++;
 					
 				}
 				
 			}
 			
-			// if has objects to split
-			
-			if ( objectsSplit.length > 0) {
+			for ( i = 0, l = this.root.nodesIndices.length; i < l; i++ ) {
 				
-				objectsRemaining = objectsRemaining.concat( this.split( objectsSplit, objectsSplitOctants ) );
+				count += this.root.nodesByIndex[ this.root.nodesIndices[ i ] ].countInVolume( volume, filter );
 				
 			}
 			
-			// if has objects to expand
+			return count;
 			
-			if ( objectsExpand.length > 0) {
-				
-				objectsRemaining = objectsRemaining.concat( this.expand( objectsExpand, objectsExpandOctants ) );
-				
-			}
+		},
+		
+		anyInSphere: function ( position, radius, filter ) {
 			
-			// store remaining
+			return this.anyInVolume( new SphereVolume( position, radius ), filter );
 			
-			this.objects = objectsRemaining;
+		},
+		
+		anyInRay: function ( origin, direction, distance, filter ) {
 			
-			// merge check
+			return this.anyInVolume( new RayVolume( origin, direction, distance ), filter );
 			
-			this.checkMerge();
+		},
+		
+		anyInBox: function ( box, filter ) {
+			
+			return this.anyInVolume( new BoxVolume( box ), filter );
 			
 		},
 		
-		split: function ( objects, octants ) {
+		anyInVolume: function ( volume, filter ) {
 			
-			var i, l,
-				indexOctant,
-				object,
-				node,
-				objectsRemaining;
+			// stop at first object data found
+			
+			return this.forEachInVolume( volume, stopSearch, filter ) === false;
+			
+		},
+		
+		findOverlappingPairs: function ( callback, filter ) {
+			
+			// broad phase, calls back once with each pair of object data whose bounding spheres overlap until callback returns false
+			// returns false if stopped
 			
-			// if not at max depth
+			return this.root.findOverlappingPairs( [], 0, callback, getQueryFilter( filter ) );
 			
-			if ( this.depth < this.tree.depthMax ) {
+		},
+		
+		intersectOctree: function ( octree, callback, filter ) {
+			
+			// candidate pairs of object data of this and other octree whose bounding spheres overlap, until callback returns false
+			// calls back with object data of this octree first, returns false if stopped
+			
+			var i, l,
+				j, k,
+				root = this.root,
+				rootOther = octree.root,
+				objectData,
+				objectDataOther;
 				
-				objects = objects || this.objects;
+			if ( octree === this ) {
 				
-				octants = octants || [];
+				return this.findOverlappingPairs( callback, filter );
 				
-				objectsRemaining = [];
+			}
+			
+			filter = getQueryFilter( filter );
+			
+			// roots may hold objects outside their bounds, so root objects are tested with all of other root
+			
+			for ( i = 0, l = root.objects.length; i < l; i++ ) {
 				
-				// for each object
+				objectData = root.objects[ i ];
 				
-				for ( i = 0, l = objects.length; i < l; i++ ) {
+				if ( filter !== null && !filter.testObject( objectData ) ) {
 					
-					object = objects[ i ];
-					
-					// get object octant index
+					continue;
 					
-					indexOctant = octants[ i ];
+				}
+				
+				for ( j = 0, k = rootOther.objects.length; j < k; j++ ) {
 					
-					// if object contained by octant, branch this tree
+					objectDataOther = rootOther.objects[ j ];
 					
-					if ( indexOctant > -1 ) {
-						
-						node = this.branch( indexOctant );
+					if ( ( filter === null || filter.testObject( objectDataOther ) ) && intersectObjectsData( objectData, objectDataOther ) && callback( objectData, objectDataOther ) === false ) {
 						
-						node.addObject( object );
+						return false;
 						
-					} else {
+					}
+					
+				}
+				
+				for ( j = 0, k = rootOther.nodesIndices.length; j < k; j++ ) {
+					
+					if ( rootOther.nodesByIndex[ rootOther.nodesIndices[ j ] ].findOverlappingPairsWithObject( objectData, callback, filter ) === false ) {
 						
-						objectsRemaining.push( object );
+						return false;
 						
 					}
 					
 				}
 				
-				// if all objects, set remaining as new objects
+			}
+			
+			for ( i = 0, l = rootOther.objects.length; i < l; i++ ) {
 				
-				if ( objects === this.objects ) {
+				objectDataOther = rootOther.objects[ i ];
+				
+				if ( filter !== null && !filter.testObject( objectDataOther ) ) {
 					
-					this.objects = objectsRemaining;
+					continue;
 					
 				}
 				
-			} else {
+				for ( j = 0, k = root.nodesIndices.length; j < k; j++ ) {
+					
+					if ( root.nodesByIndex[ root.nodesIndices[ j ] ].findOverlappingPairsWithObject( objectDataOther, callback, filter, true ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+			}
+			
+			// descend both octrees at once, skipping nodes whose bounds do not overlap
+			
+			for ( i = 0, l = root.nodesIndices.length; i < l; i++ ) {
 				
-				objectsRemaining = this.objects;
+				for ( j = 0, k = rootOther.nodesIndices.length; j < k; j++ ) {
+					
+					if ( root.nodesByIndex[ root.nodesIndices[ i ] ].findOverlappingPairsWithNode( rootOther.nodesByIndex[ rootOther.nodesIndices[ j ] ], callback, filter ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
 				
 			}
 			
-			return objectsRemaining;
+			return true;
 			
 		},
 		
-		branch: function ( indexOctant ) {
+		raycastFirst: function ( origin, direction, far, intersectObject, filter ) {
 			
-			var node,
-				overlap,
-				radius,
-				radiusOffset,
-				offset,
-				position;
+			// front to back, narrow phase returns hit with distance or null for each candidate object data
 			
-			// node exists
+			var entry,
+				iterator,
+				hit,
+				hitNearest = null;
+				
+			far = far > 0 ? far : Infinity;
+			direction = this.utilVec31Raycast.copy( direction ).normalize();
+			intersectObject = intersectObject || this.intersectRayObject;
 			
-			if ( this.nodesByIndex[ indexOctant ] instanceof THREE.OctreeNode ) {
+			iterator = new BestFirstIterator( this, function ( node ) {
 				
-				node = this.nodesByIndex[ indexOctant ];
+				return node.getRayEntryDistance( origin, direction, far );
 				
-			} else {
+			}, function ( objectData ) {
 				
-				// properties
+				// bounding sphere before narrow phase
 				
-				radius = ( this.radiusOverlap ) * 0.5;
-				overlap = radius * this.tree.overlapPct;
-				radiusOffset = radius - overlap;
-				offset = this.utilVec31Branch.set( indexOctant & 1 ? radiusOffset : -radiusOffset, indexOctant & 2 ? radiusOffset : -radiusOffset, indexOctant & 4 ? radiusOffset : -radiusOffset );
-				position = new THREE.Vector3().addVectors( this.position, offset );
+				var distance = intersectRaySphere( origin, direction, objectData.position, objectData.radius );
 				
-				// node
+				return distance <= far ? distance : -1;
 				
-				node = new THREE.OctreeNode( {
-					tree: this.tree,
-					parent: this,
-					position: position,
-					radius: radius,
-					indexOctant: indexOctant
-				} );
+			}, getQueryFilter( filter ) );
+			
+			while ( ( entry = iterator.next() ) !== null ) {
 				
-				// store
+				// nothing left can be closer than nearest hit
+				
+				if ( hitNearest !== null && entry.key > hitNearest.distance ) {
+					
+					break;
+					
+				}
+				
+				hit = intersectObject.call( this, entry.objectData, origin, direction, far );
+				
+				if ( hit && hit.distance <= far && ( hitNearest === null || hit.distance < hitNearest.distance ) ) {
+					
+					hit.objectData = hit.objectData || entry.objectData;
+					hitNearest = hit;
+					
+				}
 				
-				this.addNode( node, indexOctant );
-			
 			}
 			
-			return node;
+			return hitNearest;
 			
 		},
 		
-		expand: function ( objects, octants ) {
+		searchRays: function ( origins, directions, far, filter ) {
 			
-			var i, l,
-				object,
-				objectsRemaining,
-				objectsExpand,
-				indexOctant,
-				flagsOutside,
-				indexOutside,
-				indexOctantInverse,
-				iom = this.tree.INDEX_OUTSIDE_MAP,
-				indexOutsideCounts,
-				infoIndexOutside1,
-				infoIndexOutside2,
-				infoIndexOutside3,
-				indexOutsideBitwise1,
-				indexOutsideBitwise2,
-				infoPotential1,
-				infoPotential2,
-				infoPotential3,
-				indexPotentialBitwise1,
-				indexPotentialBitwise2,
-				octantX, octantY, octantZ,
-				overlap,
-				radius,
-				radiusOffset,
-				radiusParent,
-				overlapParent,
-				offset = this.utilVec31Expand,
-				position,
-				parent;
+			// candidates whose bounding spheres each ray touches, for rays packed as x, y, z in origins and directions
+			// candidates of ray i are indices into objectsData, in objects from offsets[ i ] to offsets[ i + 1 ]
 			
-			// handle max depth down tree
+			var batch = new RayBatch( this, origins, directions, far, filter, null );
 			
-			if ( this.tree.root.getDepthEnd() < this.tree.depthMax ) {
+			batch.search();
+			
+			return batch.getCandidates();
+			
+		},
+		
+		raycastFirstRays: function ( origins, directions, far, intersectObject, filter ) {
+			
+			// nearest hit of each ray as index into objectsData and distance, both -1 when ray hits nothing
+			
+			var batch = new RayBatch( this, origins, directions, far, filter, intersectObject || this.intersectRayObject );
+			
+			batch.search();
+			
+			return batch.getHits();
+			
+		},
+		
+		isOccluded: function ( from, to, options ) {
+			
+			// line of sight, true as soon as any face or whole object is found between from and to
+			
+			var ignore,
+				direction = this.utilVec31Occlusion.subVectors( to, from ),
+				distance = direction.length(),
+				va = this.utilVec32Occlusion,
+				vb = this.utilVec33Occlusion,
+				vc = this.utilVec34Occlusion,
+				vd = this.utilVec35Occlusion;
 				
-				objects = objects || this.objects;
-				octants = octants || [];
+			options = options || {};
+			ignore = toArray( options.ignore );
+			
+			if ( distance === 0 ) {
 				
-				objectsRemaining = [];
-				objectsExpand = [];
+				return false;
 				
-				// reset counts
+			}
+			
+			direction.divideScalar( distance );
+			
+			// bounding spheres are tested by ray volume, so only faces need an exact test
+			
+			return this.forEachInRay( from, direction, distance, function ( objectData ) {
 				
-				for ( i = 0, l = iom.length; i < l; i++ ) {
+				var hit;
+				
+				if ( ignore.length > 0 && indexOfValue( ignore, objectData.object ) !== -1 ) {
 					
-					iom[ i ].count = 0;
+					return;
 					
 				}
 				
-				// for all outside objects, find outside octants containing most objects
-				
-				for ( i = 0, l = objects.length; i < l; i++ ) {
-					
-					object = objects[ i ];
+				if ( objectData.faces ) {
 					
-					// get object octant index
+					hit = intersectRayFace( objectData, from, direction, va, vb, vc, vd );
 					
-					indexOctant = octants[ i ] ;
+					return hit === -1 || hit > distance;
 					
-					// if object outside this, include in calculations
+				}
+				
+				// vertices are points and do not block
+				
+				return isVertexObjectData( objectData );
+				
+			}, options.filter ) === false;
+			
+		},
+		
+		intersectRayObject: function ( objectData, origin, direction, far ) {
+			
+			// default narrow phase for raycastFirst
+			
+			var distance,
+				object = objectData.object,
+				raycaster,
+				intersects,
+				va = this.utilVec32Raycast,
+				vb = this.utilVec33Raycast,
+				vc = this.utilVec34Raycast,
+				vd = this.utilVec35Raycast;
+				
+			if ( objectData.faces ) {
+				
+				distance = intersectRayFace( objectData, origin, direction, va, vb, vc, vd );
+				
+				if ( distance === -1 ) {
 					
-					if ( indexOctant < -1 ) {
-						
-						// convert octant index to outside flags
-						
-						flagsOutside = -indexOctant - this.tree.INDEX_OUTSIDE_OFFSET;
-						
-						// check against bitwise flags
-						
-						// x
-						
-						if ( flagsOutside & this.tree.FLAG_POS_X ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_POS_X ].count++;
-							
-						} else if ( flagsOutside & this.tree.FLAG_NEG_X ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_NEG_X ].count++;
-							
-						}
-						
-						// y
-						
-						if ( flagsOutside & this.tree.FLAG_POS_Y ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_POS_Y ].count++;
-							
-						} else if ( flagsOutside & this.tree.FLAG_NEG_Y ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_NEG_Y ].count++;
-							
-						}
-						
-						// z
-						
-						if ( flagsOutside & this.tree.FLAG_POS_Z ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_POS_Z ].count++;
-							
-						} else if ( flagsOutside & this.tree.FLAG_NEG_Z ) {
-							
-							iom[ this.tree.INDEX_OUTSIDE_NEG_Z ].count++;
-							
-						}
-						
-						// store in expand list
-						
-						objectsExpand.push( object );
-						
-					} else {
-						
-						objectsRemaining.push( object );
-						
-					}
+					return null;
 					
 				}
 				
-				// if objects to expand
+				return {
+					distance: distance,
+					point: new THREE.Vector3().copy( direction ).multiplyScalar( distance ).add( origin ),
+					face: objectData.faces,
+					object: object,
+					objectData: objectData
+				};
 				
-				if ( objectsExpand.length > 0 ) {
+			} else if ( !objectData.vertices && object instanceof THREE.Object3D && object.geometry ) {
+				
+				// whole objects use three's own raycast
+				
+				raycaster = this.utilRaycaster || ( this.utilRaycaster = new THREE.Raycaster() );
+				raycaster.set( origin, direction );
+				raycaster.near = 0;
+				raycaster.far = far;
+				
+				intersects = raycaster.intersectObject( object, false );
+				
+				return intersects.length > 0 ? intersects[ 0 ] : null;
+				
+			}
+			
+			// vertices and generic objects only have bounding sphere
+			
+			distance = intersectRaySphere( origin, direction, objectData.position, objectData.radius );
+			
+			if ( distance === -1 ) {
+				
+				return null;
+				
+			}
+			
+			return {
+				distance: distance,
+				point: new THREE.Vector3().copy( direction ).multiplyScalar( distance ).add( origin ),
+				object: object,
+				objectData: objectData
+			};
+			
+		},
+		
+		closestPointOnSurface: function ( position, maxDistance, filter ) {
+			
+			// best first through faces added with useFaces, exact closest point on each candidate triangle
+			
+			var j, k,
+				entry,
+				iterator,
+				objectData,
+				distance,
+				triangles,
+				triangle,
+				closest = null,
+				vertices = { a: new THREE.Vector3(), b: new THREE.Vector3(), c: new THREE.Vector3(), d: new THREE.Vector3() },
+				point = new THREE.Vector3(),
+				barycoord = new THREE.Vector3();
+				
+			maxDistance = maxDistance > 0 ? maxDistance : Infinity;
+			
+			iterator = new BestFirstIterator( this, function ( node ) {
+				
+				var distance = node.distanceToPoint( position );
+				
+				return distance <= maxDistance ? distance : -1;
+				
+			}, function ( objectData ) {
+				
+				// face is within bounding sphere, so sphere gives a lower bound
+				
+				var distance = Math.max( objectData.position.distanceTo( position ) - objectData.radius, 0 );
+				
+				return objectData.faces && distance <= maxDistance ? distance : -1;
+				
+			}, getQueryFilter( filter ) );
+			
+			while ( ( entry = iterator.next() ) !== null ) {
+				
+				// nothing left can be closer than closest point
+				
+				if ( closest !== null && entry.key >= closest.distance ) {
 					
-					// shallow copy index outside map
+					break;
 					
-					indexOutsideCounts = iom.slice( 0 );
+				}
+				
+				objectData = entry.objectData;
+				triangles = objectData.getWorldFaceVertices( vertices.a, vertices.b, vertices.c, vertices.d ) === 4 ? FACE4_TRIANGLES : FACE3_TRIANGLES;
+				
+				for ( j = 0, k = triangles.length; j < k; j++ ) {
 					
-					// sort outside index count so highest is first
+					triangle = triangles[ j ];
 					
-					indexOutsideCounts.sort( function ( a, b ) {
+					distance = getClosestPointOnTriangle( position, vertices[ triangle[ 0 ] ], vertices[ triangle[ 1 ] ], vertices[ triangle[ 2 ] ], point, barycoord );
+					
+					if ( distance <= maxDistance && ( closest === null || distance < closest.distance ) ) {
 						
-						return b.count - a.count;
+						closest = {
+							point: point.clone(),
+							distance: distance,
+							face: objectData.faces,
+							object: objectData.object,
+							objectData: objectData,
+							barycoord: barycoord.clone(),
+							vertexIndices: [ objectData.faces[ triangle[ 0 ] ], objectData.faces[ triangle[ 1 ] ], objectData.faces[ triangle[ 2 ] ] ]
+						};
 						
-					} );
-					
-					// get highest outside indices
-					
-					// first is first
-					infoIndexOutside1 = indexOutsideCounts[ 0 ];
-					indexOutsideBitwise1 = infoIndexOutside1.index | 1;
-					
-					// second is ( one of next two bitwise OR 1 ) that is not opposite of ( first bitwise OR 1 )
-					
-					infoPotential1 = indexOutsideCounts[ 1 ];
-					infoPotential2 = indexOutsideCounts[ 2 ];
-					
-					infoIndexOutside2 = ( infoPotential1.index | 1 ) !== indexOutsideBitwise1 ? infoPotential1 : infoPotential2;
-					indexOutsideBitwise2 = infoIndexOutside2.index | 1;
-					
-					// third is ( one of next three bitwise OR 1 ) that is not opposite of ( first or second bitwise OR 1 )
-					
-					infoPotential1 = indexOutsideCounts[ 2 ];
-					infoPotential2 = indexOutsideCounts[ 3 ];
-					infoPotential3 = indexOutsideCounts[ 4 ];
+					}
 					
-					indexPotentialBitwise1 = infoPotential1.index | 1;
-					indexPotentialBitwise2 = infoPotential2.index | 1;
+				}
+				
+			}
+			
+			return closest;
+			
+		},
+		
+		findClosestVertex: function ( position, radius, filter ) {
+			
+			// world position of closest vertex, use findClosestVertices for object and vertex index
+			
+			var vertices = this.findClosestVertices( position, 1, radius, filter );
+			
+			return vertices.length > 0 ? vertices[ 0 ].point : null;
+
+		},
+		
+		findClosestVertices: function ( position, k, maxDistance, filter ) {
+			
+			// best first through vertices added with useVertices, across all objects in world space
+			
+			var iterator,
+				result,
+				objectData,
+				vertexIndex,
+				predicate,
+				vertices = [];
+				
+			k = isNumber( k ) && k > 0 ? k : 1;
+			
+			// only vertices, within any category mask and predicate passed
+			
+			filter = getQueryFilter( filter ) || new QueryFilter();
+			predicate = filter.predicate;
+			
+			iterator = this.nearestIterator( position, maxDistance, new QueryFilter( filter.mask, function ( objectData ) {
+				
+				return isVertexObjectData( objectData ) && ( predicate === null || !!predicate( objectData ) );
+				
+			} ) );
+			
+			while ( vertices.length < k ) {
+				
+				result = iterator.next();
+				
+				if ( result.done === true ) {
 					
-					infoIndexOutside3 = indexPotentialBitwise1 !== indexOutsideBitwise1 && indexPotentialBitwise1 !== indexOutsideBitwise2 ? infoPotential1 : indexPotentialBitwise2 !== indexOutsideBitwise1 && indexPotentialBitwise2 !== indexOutsideBitwise2 ? infoPotential2 : infoPotential3;
+					break;
 					
-					// get this octant normal based on outside octant indices
+				}
+				
+				objectData = result.value.objectData;
+				
+				// buffer vertices store index, geometry vertices are found by reference
+				
+				vertexIndex = isNumber( objectData.vertexIndex ) ? objectData.vertexIndex : indexOfValue( objectData.object.geometry.vertices, objectData.vertices );
+				
+				vertices.push( {
+					point: objectData.position.clone(),
+					distance: result.value.distance,
+					object: objectData.object,
+					objectData: objectData,
+					vertexIndex: vertexIndex
+				} );
+				
+			}
+			
+			return vertices;
+			
+		},
+		
+		nearest: function ( position, k, maxDistance, filter ) {
+			
+			var iterator,
+				result,
+				results = [];
+				
+			k = isNumber( k ) && k > 0 ? k : 1;
+			
+			// best first, stop once k closest found
+			
+			iterator = this.nearestIterator( position, maxDistance, filter );
+			
+			while ( results.length < k ) {
+				
+				result = iterator.next();
+				
+				if ( result.done === true ) {
 					
-					octantX = infoIndexOutside1.x + infoIndexOutside2.x + infoIndexOutside3.x;
-					octantY = infoIndexOutside1.y + infoIndexOutside2.y + infoIndexOutside3.y;
-					octantZ = infoIndexOutside1.z + infoIndexOutside2.z + infoIndexOutside3.z;
+					break;
 					
-					// get this octant indices based on octant normal
+				}
+				
+				results.push( result.value );
+				
+			}
+			
+			return results;
+			
+		},
+		
+		nearestIterator: function ( position, maxDistance, filter ) {
+			
+			return new NearestIterator( this, position, maxDistance, filter );
+			
+		},
+		
+		setRoot: function ( root ) { 
+			
+			if ( root instanceof OctreeNode ) {
+				
+				// store new root
+				
+				this.root = root;
+				
+				// update properties
+				
+				this.root.updateProperties();
+				
+			}
+			
+		},
+		
+		getDepthEnd: function () {
+			
+			return this.root.getDepthEnd();
+			
+		},
+		
+		getNodeCountEnd: function () {
+			
+			return this.root.getNodeCountEnd();
+			
+		},
+		
+		getObjectCountEnd: function () {
+			
+			return this.root.getObjectCountEnd();
+			
+		},
+		
+		toConsole: function () {
+			
+			this.root.toConsole();
+			
+		}
+		
+	};
+
+	/*===================================================
+
+	object data
+
+	=====================================================*/
+
+	function OctreeObjectData ( object, part, mask ) {
+		
+		// properties
+		
+		this.object = object;
+		
+		// category mask is set explicitly or follows object layers
+		
+		this.maskFixed = typeof mask === 'number';
+		this.mask = this.maskFixed === true ? mask | 0 : getObjectMask( object );
+		
+		// handle part by type
+		
+		if ( typeof part !== 'undefined' && object.geometry instanceof THREE.BufferGeometry ) {
+			
+			// buffer geometry parts are a vertex index or a triangle of vertex indices
+			
+			if ( isNumber( part ) ) {
+				
+				this.vertices = new THREE.Vector3();
+				this.vertexIndex = part;
+				
+			} else {
+				
+				this.faces = part;
+				this.face3 = true;
+				this.utilVec31FaceBounds = new THREE.Vector3();
+				this.utilVec32FaceBounds = new THREE.Vector3();
+				this.utilVec33FaceBounds = new THREE.Vector3();
+				this.utilVec34FaceBounds = new THREE.Vector3();
+				
+			}
+			
+		} else if ( isFace3( part ) ) {
+			
+			this.faces = part;
+			this.faces.centroid = getFaceCentroid( part );
+			this.face3 = true;
+			this.utilVec31FaceBounds = new THREE.Vector3();
+			
+		} else if ( isFace4( part ) ) {
+			
+			this.face4 = true;
+			this.faces = part;
+			this.faces.centroid = getFaceCentroid( part );
+			this.utilVec31FaceBounds = new THREE.Vector3();
+			
+		} else if ( part instanceof THREE.Vector3 ) {
+			
+			this.vertices = part;
+			
+		}
+		
+		this.radius = 0;
+		this.position = new THREE.Vector3();
+
+		// index in octree objects data list, kept by octree, -1 when not in an octree
+
+		this.index = -1;
+
+		// initial update
+		
+		if ( this.object instanceof THREE.Object3D ) {
+			
+			this.update();
+			
+		}
+		else {
+
+			// Generic object
+			this.position.set( object.x, object.y, object.z );
+			this.radius = object.radius;
+
+		}
+		
+		this.positionLast = this.position.clone();
+		
+	}
+
+	OctreeObjectData.prototype = {
+		
+		update: function () {
+			
+			if ( this.maskFixed !== true ) {
+				
+				this.mask = getObjectMask( this.object );
+				
+			}
+			
+			if ( this.face3 ) {
+				
+				this.radius = this.getFace3BoundingRadius( this.object, this.faces );
+				this.position.copy( this.faces.centroid ).applyMatrix4( this.object.matrixWorld );
+				
+			} else if ( this.face4 ) {
+				
+				this.radius = this.getFace4BoundingRadius( this.object, this.faces );
+				this.position.copy( this.faces.centroid ).applyMatrix4( this.object.matrixWorld );
+				
+			} else if ( this.vertices ) {
+
+				if ( isNumber( this.vertexIndex ) ) {
 					
-					indexOctant = this.getOctantIndexFromPosition( octantX, octantY, octantZ );
-					indexOctantInverse = this.getOctantIndexFromPosition( -octantX, -octantY, -octantZ );
+					// buffer vertices are points
 					
-					// properties
+					getBufferVertex( this.object.geometry.attributes.position, this.vertexIndex, this.vertices );
 					
-					overlap = this.overlap;
-					radius = this.radius;
+					this.radius = 0;
 					
-					// radius of parent comes from reversing overlap of this, unless overlap percent is 0
+				} else {
 					
-					radiusParent = this.tree.overlapPct > 0 ? overlap / ( ( 0.5 * this.tree.overlapPct ) * ( 1 + this.tree.overlapPct ) ) : radius * 2; 
-					overlapParent = radiusParent * this.tree.overlapPct;
+					if ( this.object.geometry.boundingSphere === null ) {
+						
+						this.object.geometry.computeBoundingSphere();
+						
+					}
 					
-					// parent offset is difference between radius + overlap of parent and child
+					this.radius = this.object.geometry.boundingSphere.radius;
 					
-					radiusOffset = ( radiusParent + overlapParent ) - ( radius + overlap );
-					offset.set( indexOctant & 1 ? radiusOffset : -radiusOffset, indexOctant & 2 ? radiusOffset : -radiusOffset, indexOctant & 4 ? radiusOffset : -radiusOffset );
-					position = new THREE.Vector3().addVectors( this.position, offset );
+				}
+				
+				this.position.copy( this.vertices ).applyMatrix4( this.object.matrixWorld );
+				
+			} else {
+				
+				if ( this.object.geometry ) {
 					
-					// parent
+					if ( this.object.geometry.boundingSphere === null ) {
+						
+						this.object.geometry.computeBoundingSphere();
+						
+					}
 					
-					parent = new THREE.OctreeNode( {
-						tree: this.tree,
-						position: position,
-						radius: radiusParent
-					} );
+					this.radius = this.object.geometry.boundingSphere.radius;
+					this.position.copy( this.object.geometry.boundingSphere.center ).applyMatrix4( this.object.matrixWorld );
 					
-					// set self as node of parent
+				} else {
 					
-					parent.addNode( this, indexOctantInverse );
+					this.radius = getBoundRadius( this.object );
+					setFromMatrixPosition( this.position, this.object.matrixWorld );
 					
-					// set parent as root
+				}
+				
+			}
+			
+			this.radius = this.radius * Math.max( this.object.scale.x, this.object.scale.y, this.object.scale.z );
+			
+		},
+		
+		setMask: function ( mask ) {
+			
+			this.maskFixed = typeof mask === 'number';
+			this.mask = this.maskFixed === true ? mask | 0 : getObjectMask( this.object );
+			
+			// keep subtree masks of nodes in step
+			
+			if ( this.node instanceof OctreeNode ) {
+				
+				this.node.updateMask();
+				
+			}
+			
+		},
+		
+		intersectSphere: function ( position, radius ) {
+			
+			var distance = radius + this.radius;
+			
+			return this.position.distanceToSquared( position ) <= distance * distance;
+			
+		},
+		
+		intersectRay: function ( origin, direction, distance ) {
+			
+			// direction is expected to be normalized, distance is ray length
+			
+			var position = this.position,
+				dx = position.x - origin.x,
+				dy = position.y - origin.y,
+				dz = position.z - origin.z,
+				t = Math.min( Math.max( dx * direction.x + dy * direction.y + dz * direction.z, 0 ), distance );
+				
+			// delta from closest point on ray to position
+			
+			dx -= direction.x * t;
+			dy -= direction.y * t;
+			dz -= direction.z * t;
+			
+			return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+			
+		},
+		
+		getWorldFaceVertices: function ( va, vb, vc, vd ) {
+			
+			// world positions of face vertices, returns number of vertices
+			
+			var face = this.faces,
+				geometry = this.object.geometry,
+				matrixWorld = this.object.matrixWorld,
+				position,
+				vertices,
+				count = this.face4 ? 4 : 3;
+				
+			if ( geometry instanceof THREE.BufferGeometry ) {
+				
+				position = geometry.attributes.position;
+				
+				getBufferVertex( position, face.a, va );
+				getBufferVertex( position, face.b, vb );
+				getBufferVertex( position, face.c, vc );
+				
+			} else {
+				
+				vertices = geometry.vertices;
+				
+				va.copy( vertices[ face.a ] );
+				vb.copy( vertices[ face.b ] );
+				vc.copy( vertices[ face.c ] );
+				
+				if ( count === 4 ) {
 					
-					this.tree.setRoot( parent );
+					vd.copy( vertices[ face.d ] ).applyMatrix4( matrixWorld );
+					
+				}
+				
+			}
+			
+			va.applyMatrix4( matrixWorld );
+			vb.applyMatrix4( matrixWorld );
+			vc.applyMatrix4( matrixWorld );
+			
+			return count;
+			
+		},
+		
+		getFace3BoundingRadius: function ( object, face ) {
+			
+			var geometry = object.geometry || object,
+				vertices = geometry.vertices,
+				position,
+				centroid = face.centroid,
+				va, vb, vc,
+				centroidToVert = this.utilVec31FaceBounds,
+				radius;
+				
+			if ( geometry instanceof THREE.BufferGeometry ) {
+				
+				position = geometry.attributes.position;
+				
+				va = getBufferVertex( position, face.a, this.utilVec32FaceBounds );
+				vb = getBufferVertex( position, face.b, this.utilVec33FaceBounds );
+				vc = getBufferVertex( position, face.c, this.utilVec34FaceBounds );
+				
+			} else {
+				
+				va = vertices[ face.a ];
+				vb = vertices[ face.b ];
+				vc = vertices[ face.c ];
+				
+			}
+			
+			centroid.addVectors( va, vb ).add( vc ).divideScalar( 3 );
+			radius = Math.max( centroidToVert.subVectors( centroid, va ).length(), centroidToVert.subVectors( centroid, vb ).length(), centroidToVert.subVectors( centroid, vc ).length() );
+			
+			return radius;
+			
+		},
+		
+		getFace4BoundingRadius: function ( object, face ) {
+			
+			var geometry = object.geometry || object,
+				vertices = geometry.vertices,
+				centroid = face.centroid,
+				va = vertices[ face.a ], vb = vertices[ face.b ], vc = vertices[ face.c ], vd = vertices[ face.d ],
+				centroidToVert = this.utilVec31FaceBounds,
+				radius;
+				
+			centroid.addVectors( va, vb ).add( vc ).add( vd ).divideScalar( 4 );
+			radius = Math.max( centroidToVert.subVectors( centroid, va ).length(), centroidToVert.subVectors( centroid, vb ).length(), centroidToVert.subVectors( centroid, vc ).length(), centroidToVert.subVectors( centroid, vd ).length() );
+			
+			return radius;
+			
+		}
+		
+	};
+
+	/*===================================================
+
+	node
+
+	=====================================================*/
+
+	function OctreeNode ( parameters ) {
+		
+		// utility
+		
+		this.utilVec31Branch = new THREE.Vector3();
+		this.utilVec31Expand = new THREE.Vector3();
+		this.utilVec31Ray = new THREE.Vector3();
+		
+		// handle parameters
+		
+		parameters = parameters || {};
+		
+		// store or create tree
+		
+		if ( parameters.tree instanceof Octree ) {
+			
+			this.tree = parameters.tree;
+			
+		} else if ( parameters.parent instanceof OctreeNode !== true ) {
+			
+			parameters.root = this;
+			
+			this.tree = new Octree( parameters );
+			
+		}
+		
+		// basic properties
+		
+		this.id = this.tree.nodeCount++;
+		this.position = parameters.position instanceof THREE.Vector3 ? parameters.position : new THREE.Vector3();
+		this.radius = parameters.radius > 0 ? parameters.radius : 1;
+		this.indexOctant = parameters.indexOctant;
+		this.depth = 0;
+		
+		// reset and assign parent
+		
+		this.reset();
+		this.setParent( parameters.parent );
+		
+		// additional properties
+		
+		this.overlap = this.radius * this.tree.overlapPct;
+		this.radiusOverlap = this.radius + this.overlap;
+		this.left = this.position.x - this.radiusOverlap;
+		this.right = this.position.x + this.radiusOverlap;
+		this.bottom = this.position.y - this.radiusOverlap;
+		this.top = this.position.y + this.radiusOverlap;
+		this.back = this.position.z - this.radiusOverlap;
+		this.front = this.position.z + this.radiusOverlap;
+		
+		// visual
+		
+		if ( this.tree.scene ) {
+			
+			this.visual = new THREE.Mesh( this.tree.visualGeometry, this.tree.visualMaterial );
+			this.visual.scale.set( this.radiusOverlap * 2, this.radiusOverlap * 2, this.radiusOverlap * 2 );
+			this.visual.position.copy( this.position );
+			this.tree.scene.add( this.visual );
+			
+		}
+		
+	}
+
+	OctreeNode.prototype = {
+		
+		setParent: function ( parent ) {
+			
+			// store new parent
+			
+			if ( parent !== this && this.parent !== parent ) {
+				
+				this.parent = parent;
+				
+				// update properties
+				
+				this.updateProperties();
+				
+			}
+			
+		},
+		
+		updateProperties: function () {
+			
+			var i, l;
+			
+			// properties
+			
+			if ( this.parent instanceof OctreeNode ) {
+				
+				this.tree = this.parent.tree;
+				this.depth = this.parent.depth + 1;
+				
+			} else {
+				
+				this.depth = 0;
+				
+			}
+			
+			// cascade
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				this.nodesByIndex[ this.nodesIndices[ i ] ].updateProperties();
+				
+			}
+			
+		},
+		
+		reset: function ( cascade, removeVisual ) {
+			
+			var i, l,
+				node,
+				nodesIndices = this.nodesIndices || [],
+				nodesByIndex = this.nodesByIndex;
+			
+			this.objects = [];
+			this.nodesIndices = [];
+			this.nodesByIndex = {};
+			this.mask = 0;
+			this.objectCountSubtree = -1;
+			
+			// unset parent in nodes
+			
+			for ( i = 0, l = nodesIndices.length; i < l; i++ ) {
+				
+				node = nodesByIndex[ nodesIndices[ i ] ];
+				
+				node.setParent( undefined );
+				
+				if ( cascade === true ) {
+					
+					node.reset( cascade, removeVisual );
+					
+				}
+				
+			}
+			
+			// visual
+			
+			if ( removeVisual === true && this.visual && this.visual.parent ) {
+				
+				this.visual.parent.remove( this.visual );
+				
+			}
+			
+		},
+		
+		addNode: function ( node, indexOctant ) {
+			
+			node.indexOctant = indexOctant;
+			
+			if ( indexOfValue( this.nodesIndices, indexOctant ) === -1 ) {
+				
+				this.nodesIndices.push( indexOctant );
+				
+			}
+			
+			this.nodesByIndex[ indexOctant ] = node;
+			
+			if ( node.parent !== this ) {
+				
+				node.setParent( this );
+				
+			}
+			
+			this.addMask( node.mask );
+			this.invalidateObjectCount();
+			
+		},
+		
+		removeNode: function ( indexOctant ) {
+			
+			var index,
+				node;
+				
+			index = indexOfValue( this.nodesIndices, indexOctant );
+			
+			this.nodesIndices.splice( index, 1 );
+			
+			node = node || this.nodesByIndex[ indexOctant ];
+			
+			delete this.nodesByIndex[ indexOctant ];
+			
+			if ( node.parent === this ) {
+				
+				node.setParent( undefined );
+				
+			}
+			
+			this.updateMask();
+			this.invalidateObjectCount();
+			
+		},
+		
+		addObject: function ( object ) {
+			
+			var index,
+				indexOctant,
+				node;
+			
+			// get object octant index
+			
+			indexOctant = this.getOctantIndex( object );
+			
+			// if object fully contained by an octant, add to subtree
+			if ( indexOctant > -1 && this.nodesIndices.length > 0 ) {
+				
+				node = this.branch( indexOctant );
+				
+				node.addObject( object );
+				
+			} else if ( indexOctant < -1 && this.parent instanceof OctreeNode ) {
+				
+				// if object lies outside bounds, add to parent node
+				
+				this.parent.addObject( object );
+				
+			} else {
+				
+				// add to this objects list
+				
+				index = indexOfValue( this.objects, object );
+				
+				if ( index === -1 ) {
+					
+					this.objects.push( object );
+					
+				}
+				
+				// node reference
+				
+				object.node = this;
+				
+				this.addMask( object.mask );
+				this.invalidateObjectCount();
+				
+				// check if need to expand, split, or both
+				
+				this.checkGrow();
+				
+			}
+			
+		},
+		
+		addObjectWithoutCheck: function ( objects ) {
+			
+			var i, l,
+				object;
+
+			for ( i = 0, l = objects.length; i < l; i++ ) {
+				
+				object = objects[ i ];
+				
+				this.objects.push( object );
+				
+				object.node = this;
+				
+				this.addMask( object.mask );
+				
+			}
+			
+			this.invalidateObjectCount();
+			
+		},
+		
+		removeObject: function ( object ) {
+			
+			var i, l,
+				nodesRemovedFrom,
+				removeData;
+			
+			// cascade through tree to find and remove object
+			
+			removeData = this.removeObjectRecursive( object, { searchComplete: false, nodesRemovedFrom: [], objectsDataRemoved: [] } );
+			
+			// if object removed, try to shrink the nodes it was removed from
+			
+			nodesRemovedFrom = removeData.nodesRemovedFrom;
+			
+			if ( nodesRemovedFrom.length > 0 ) {
+				
+				for ( i = 0, l = nodesRemovedFrom.length; i < l; i++ ) {
+					
+					nodesRemovedFrom[ i ].updateMask();
+					nodesRemovedFrom[ i ].invalidateObjectCount();
+					nodesRemovedFrom[ i ].shrink();
+					
+				}
+				
+			}
+			
+			return removeData.objectsDataRemoved;
+			
+		},
+		
+		removeObjectRecursive: function ( object, removeData ) {
+			
+			var i, l,
+				index = -1,
+				objectData,
+				node,
+				objectRemoved;
+			
+			// find index of object in objects list
+			
+			// search and remove object data (fast)
+			if ( object instanceof OctreeObjectData ) {
+				
+				// remove from this objects list
+				
+				index = indexOfValue( this.objects, object );
+				
+				if ( index !== -1 ) {
+					
+					this.objects.splice( index, 1 );
+					object.node = undefined;
+					
+					removeData.objectsDataRemoved.push( object );
+					
+					removeData.searchComplete = objectRemoved = true;
+					
+				}
+				
+			} else {
+			
+				// search each object data for object and remove (slow)
+				
+				for ( i = this.objects.length - 1; i >= 0; i-- ) {
+					
+					objectData = this.objects[ i ];
+					
+					if ( objectData.object === object ) {
+						
+						this.objects.splice( i, 1 );
+						objectData.node = undefined;
+						
+						removeData.objectsDataRemoved.push( objectData );
+						
+						objectRemoved = true;
+						
+						if ( !objectData.faces && !objectData.vertices ) {
+							
+							removeData.searchComplete = true;
+							break;
+							
+						}
+						
+					}
+					
+				}
+				
+			}
+			
+			// if object data removed and this is not on nodes removed from
+			
+			if ( objectRemoved === true ) {
+				
+				removeData.nodesRemovedFrom.push( this );
+				
+			}
+			
+			// if search not complete, search nodes
+			
+			if ( removeData.searchComplete !== true ) {
+				
+				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+					
+					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+					
+					// try removing object from node
+					
+					removeData = node.removeObjectRecursive( object, removeData );
+					
+					if ( removeData.searchComplete === true ) {
+						
+						break;
+						
+					}
+					
+				}
+				
+			}
+			
+			return removeData;
+			
+		},
+		
+		addMask: function ( mask ) {
+			
+			// subtree mask of each node includes those of its nodes, so stop at first node with mask
+			
+			var node = this;
+			
+			while ( node instanceof OctreeNode && ( node.mask & mask ) !== mask ) {
+				
+				node.mask |= mask;
+				node = node.parent;
+				
+			}
+			
+		},
+		
+		updateMask: function () {
+			
+			// recalculate from objects and nodes, then parents while mask changes
+			
+			var i, l,
+				mask = 0;
+				
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				mask |= this.objects[ i ].mask;
+				
+			}
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				mask |= this.nodesByIndex[ this.nodesIndices[ i ] ].mask;
+				
+			}
+			
+			if ( mask !== this.mask ) {
+				
+				this.mask = mask;
+				
+				if ( this.parent instanceof OctreeNode ) {
+					
+					this.parent.updateMask();
+					
+				}
+				
+			}
+			
+		},
+		
+		invalidateObjectCount: function () {
+			
+			// node with stale count has ancestors with stale counts, so stop there
+			
+			var node = this;
+			
+			while ( node instanceof OctreeNode && node.objectCountSubtree !== -1 ) {
+				
+				node.objectCountSubtree = -1;
+				node = node.parent;
+				
+			}
+			
+		},
+		
+		getObjectCountSubtree: function () {
+			
+			// cached object count of subtree, recalculated after objects or nodes change
+			
+			var i, l,
+				count;
+				
+			if ( this.objectCountSubtree === -1 ) {
+				
+				count = this.objects.length;
+				
+				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+					
+					count += this.nodesByIndex[ this.nodesIndices[ i ] ].getObjectCountSubtree();
+					
+				}
+				
+				this.objectCountSubtree = count;
+				
+			}
+			
+			return this.objectCountSubtree;
+			
+		},
+		
+		checkGrow: function () {
+			
+			// if object count above max
+			
+			if ( this.objects.length > this.tree.objectsThreshold && this.tree.objectsThreshold > 0 ) {
+				
+				this.grow();
+				
+			}
+			
+		},
+		
+		grow: function () {
+			
+			var indexOctant,
+				object,
+				objectsExpand = [],
+				objectsExpandOctants = [],
+				objectsSplit = [],
+				objectsSplitOctants = [],
+				objectsRemaining = [],
+				i, l;
+			
+			// for each object
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				object = this.objects[ i ];
+				
+				// get object octant index
+				
+				indexOctant = this.getOctantIndex( object );
+				
+				// if lies within octant
+				if ( indexOctant > -1 ) {
+					
+					objectsSplit.push( object );
+					objectsSplitOctants.push( indexOctant );
+				
+				} else if ( indexOctant < -1 ) {
+					
+					// lies outside radius
+					
+					objectsExpand.push( object );
+					objectsExpandOctants.push( indexOctant );
+					
+				} else {
+				
+					// lies across bounds between octants
+					
+					objectsRemaining.push( object );
+					
+				}
+				
+			}
+			
+			// if has objects to split
+			
+			if ( objectsSplit.length > 0) {
+				
+				objectsRemaining = objectsRemaining.concat( this.split( objectsSplit, objectsSplitOctants ) );
+				
+			}
+			
+			// if has objects to expand
+			
+			if ( objectsExpand.length > 0) {
+				
+				objectsRemaining = objectsRemaining.concat( this.expand( objectsExpand, objectsExpandOctants ) );
+				
+			}
+			
+			// store remaining
+			
+			this.objects = objectsRemaining;
+			this.invalidateObjectCount();
+			
+			// merge check
+			
+			this.checkMerge();
+			
+		},
+		
+		split: function ( objects, octants ) {
+			
+			var i, l,
+				indexOctant,
+				object,
+				node,
+				objectsRemaining;
+			
+			objects = objects || this.objects;
+			
+			// if not at max depth or too small to tell positions apart
+			
+			if ( this.depth < this.tree.depthMax && this.radius > ( Math.abs( this.position.x ) + Math.abs( this.position.y ) + Math.abs( this.position.z ) + this.tree.root.radius ) * RADIUS_PRECISION ) {
+				
+				octants = octants || [];
+				
+				objectsRemaining = [];
+				
+				// for each object
+				
+				for ( i = 0, l = objects.length; i < l; i++ ) {
+					
+					object = objects[ i ];
+					
+					// get object octant index
+					
+					indexOctant = octants[ i ];
+					
+					// if object contained by octant, branch this tree
+					
+					if ( indexOctant > -1 ) {
+						
+						node = this.branch( indexOctant );
+						
+						node.addObject( object );
+						
+					} else {
+						
+						objectsRemaining.push( object );
+						
+					}
+					
+				}
+				
+				// if all objects, set remaining as new objects
+				
+				if ( objects === this.objects ) {
+					
+					this.objects = objectsRemaining;
+					this.invalidateObjectCount();
+					
+				}
+				
+			} else {
+				
+				objectsRemaining = objects;
+				
+			}
+			
+			return objectsRemaining;
+			
+		},
+		
+		branch: function ( indexOctant ) {
+			
+			var node,
+				overlap,
+				radius,
+				radiusOffset,
+				offset,
+				position;
+			
+			// node exists
+			
+			if ( this.nodesByIndex[ indexOctant ] instanceof OctreeNode ) {
+				
+				node = this.nodesByIndex[ indexOctant ];
+				
+			} else {
+				
+				// properties
+				
+				radius = ( this.radiusOverlap ) * 0.5;
+				overlap = radius * this.tree.overlapPct;
+				radiusOffset = radius - overlap;
+				offset = this.utilVec31Branch.set( indexOctant & 1 ? radiusOffset : -radiusOffset, indexOctant & 2 ? radiusOffset : -radiusOffset, indexOctant & 4 ? radiusOffset : -radiusOffset );
+				position = new THREE.Vector3().addVectors( this.position, offset );
+				
+				// node
+				
+				node = new OctreeNode( {
+					tree: this.tree,
+					parent: this,
+					position: position,
+					radius: radius,
+					indexOctant: indexOctant
+				} );
+				
+				// store
+				
+				this.addNode( node, indexOctant );
+			
+			}
+			
+			return node;
+			
+		},
+		
+		expand: function ( objects, octants ) {
+			
+			var i, l,
+				object,
+				objectsRemaining,
+				objectsExpand,
+				indexOctant,
+				flagsOutside,
+				indexOutside,
+				indexOctantInverse,
+				iom = this.tree.INDEX_OUTSIDE_MAP,
+				indexOutsideCounts,
+				infoIndexOutside1,
+				infoIndexOutside2,
+				infoIndexOutside3,
+				indexOutsideBitwise1,
+				indexOutsideBitwise2,
+				infoPotential1,
+				infoPotential2,
+				infoPotential3,
+				indexPotentialBitwise1,
+				indexPotentialBitwise2,
+				octantX, octantY, octantZ,
+				overlap,
+				radius,
+				radiusOffset,
+				radiusParent,
+				overlapParent,
+				offset = this.utilVec31Expand,
+				position,
+				parent;
+			
+			// handle max depth down tree
+			
+			if ( this.tree.root.getDepthEnd() < this.tree.depthMax ) {
+				
+				objects = objects || this.objects;
+				octants = octants || [];
+				
+				objectsRemaining = [];
+				objectsExpand = [];
+				
+				// reset counts
+				
+				for ( i = 0, l = iom.length; i < l; i++ ) {
+					
+					iom[ i ].count = 0;
+					
+				}
+				
+				// for all outside objects, find outside octants containing most objects
+				
+				for ( i = 0, l = objects.length; i < l; i++ ) {
+					
+					object = objects[ i ];
+					
+					// get object octant index
+					
+					indexOctant = octants[ i ] ;
+					
+					// if object outside this, include in calculations
+					
+					if ( indexOctant < -1 ) {
+						
+						// convert octant index to outside flags
+						
+						flagsOutside = -indexOctant - this.tree.INDEX_OUTSIDE_OFFSET;
+						
+						// check against bitwise flags
+						
+						// x
+						
+						if ( flagsOutside & this.tree.FLAG_POS_X ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_POS_X ].count++;
+							
+						} else if ( flagsOutside & this.tree.FLAG_NEG_X ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_NEG_X ].count++;
+							
+						}
+						
+						// y
+						
+						if ( flagsOutside & this.tree.FLAG_POS_Y ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_POS_Y ].count++;
+							
+						} else if ( flagsOutside & this.tree.FLAG_NEG_Y ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_NEG_Y ].count++;
+							
+						}
+						
+						// z
+						
+						if ( flagsOutside & this.tree.FLAG_POS_Z ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_POS_Z ].count++;
+							
+						} else if ( flagsOutside & this.tree.FLAG_NEG_Z ) {
+							
+							iom[ this.tree.INDEX_OUTSIDE_NEG_Z ].count++;
+							
+						}
+						
+						// store in expand list
+						
+						objectsExpand.push( object );
+						
+					} else {
+						
+						objectsRemaining.push( object );
+						
+					}
+					
+				}
+				
+				// if objects to expand
+				
+				if ( objectsExpand.length > 0 ) {
+					
+					// shallow copy index outside map
+					
+					indexOutsideCounts = iom.slice( 0 );
+					
+					// sort outside index count so highest is first
+					
+					indexOutsideCounts.sort( function ( a, b ) {
+						
+						return b.count - a.count;
+						
+					} );
+					
+					// get highest outside indices
+					
+					// first is first
+					infoIndexOutside1 = indexOutsideCounts[ 0 ];
+					indexOutsideBitwise1 = infoIndexOutside1.index | 1;
+					
+					// second is ( one of next two bitwise OR 1 ) that is not opposite of ( first bitwise OR 1 )
+					
+					infoPotential1 = indexOutsideCounts[ 1 ];
+					infoPotential2 = indexOutsideCounts[ 2 ];
+					
+					infoIndexOutside2 = ( infoPotential1.index | 1 ) !== indexOutsideBitwise1 ? infoPotential1 : infoPotential2;
+					indexOutsideBitwise2 = infoIndexOutside2.index | 1;
+					
+					// third is ( one of next three bitwise OR 1 ) that is not opposite of ( first or second bitwise OR 1 )
+					
+					infoPotential1 = indexOutsideCounts[ 2 ];
+					infoPotential2 = indexOutsideCounts[ 3 ];
+					infoPotential3 = indexOutsideCounts[ 4 ];
+					
+					indexPotentialBitwise1 = infoPotential1.index | 1;
+					indexPotentialBitwise2 = infoPotential2.index | 1;
+					
+					infoIndexOutside3 = indexPotentialBitwise1 !== indexOutsideBitwise1 && indexPotentialBitwise1 !== indexOutsideBitwise2 ? infoPotential1 : indexPotentialBitwise2 !== indexOutsideBitwise1 && indexPotentialBitwise2 !== indexOutsideBitwise2 ? infoPotential2 : infoPotential3;
+					
+					// get this octant normal based on outside octant indices
+					
+					octantX = infoIndexOutside1.x + infoIndexOutside2.x + infoIndexOutside3.x;
+					octantY = infoIndexOutside1.y + infoIndexOutside2.y + infoIndexOutside3.y;
+					octantZ = infoIndexOutside1.z + infoIndexOutside2.z + infoIndexOutside3.z;
+					
+					// get this octant indices based on octant normal
+					
+					indexOctant = this.getOctantIndexFromPosition( octantX, octantY, octantZ );
+					indexOctantInverse = this.getOctantIndexFromPosition( -octantX, -octantY, -octantZ );
+					
+					// properties
+					
+					overlap = this.overlap;
+					radius = this.radius;
+					
+					// radius of parent comes from reversing overlap of this, unless overlap percent is 0
+					
+					radiusParent = this.tree.overlapPct > 0 ? overlap / ( ( 0.5 * this.tree.overlapPct ) * ( 1 + this.tree.overlapPct ) ) : radius * 2; 
+					overlapParent = radiusParent * this.tree.overlapPct;
+					
+					// parent offset is difference between radius + overlap of parent and child
+					
+					radiusOffset = ( radiusParent + overlapParent ) - ( radius + overlap );
+					offset.set( indexOctant & 1 ? radiusOffset : -radiusOffset, indexOctant & 2 ? radiusOffset : -radiusOffset, indexOctant & 4 ? radiusOffset : -radiusOffset );
+					position = new THREE.Vector3().addVectors( this.position, offset );
+					
+					// parent
+					
+					parent = new OctreeNode( {
+						tree: this.tree,
+						position: position,
+						radius: radiusParent
+					} );
+					
+					// set self as node of parent
+					
+					parent.addNode( this, indexOctantInverse );
+					
+					// set parent as root
+					
+					this.tree.setRoot( parent );
+					
+					// add all expand objects to parent
+					
+					for ( i = 0, l = objectsExpand.length; i < l; i++ ) {
+						
+						this.tree.root.addObject( objectsExpand[ i ] );
+						
+					}
+					
+				}
+				
+				// if all objects, set remaining as new objects
+				
+				if ( objects === this.objects ) {
+					
+					this.objects = objectsRemaining;
+					this.invalidateObjectCount();
+					
+				}
+				
+			} else {
+				
+				objectsRemaining = objects;
+				
+			}
+			
+			return objectsRemaining;
+			
+		},
+		
+		shrink: function () {
+			
+			// merge check
+			
+			this.checkMerge();
+			
+			// contract check
+			
+			this.tree.root.checkContract();
+			
+		},
+		
+		checkMerge: function () {
+			
+			var nodeParent = this,
+				nodeMerge;
+			
+			// traverse up tree as long as node + entire subtree's object count is under minimum
+			
+			while ( nodeParent.parent instanceof OctreeNode && nodeParent.getObjectCountEnd() < this.tree.objectsThreshold ) {
+				
+				nodeMerge = nodeParent;
+				nodeParent = nodeParent.parent;
+				
+			}
+			
+			// if parent node is not this, merge entire subtree into merge node
+			
+			if ( nodeParent !== this ) {
+				
+				nodeParent.merge( nodeMerge );
+				
+			}
+			
+		},
+		
+		merge: function ( nodes ) {
+			
+			var i, l,
+				j, k,
+				node;
+			
+			// handle nodes
+			
+			nodes = toArray( nodes );
+			
+			for ( i = 0, l = nodes.length; i < l; i++ ) {
+				
+				node = nodes[ i ];
+				
+				// gather node + all subtree objects
+				
+				this.addObjectWithoutCheck( node.getObjectsEnd() );
+				
+				// reset node + entire subtree
+				
+				node.reset( true, true );
+				
+				// remove node
+				
+				this.removeNode( node.indexOctant, node );
+				
+			}
+			
+			// merge check
+			
+			this.checkMerge();
+			
+		},
+		
+		checkContract: function () {
+			
+			var i, l,
+				node,
+				nodeObjectsCount,
+				nodeHeaviest,
+				nodeHeaviestObjectsCount,
+				outsideHeaviestObjectsCount;
+			
+			// find node with highest object count
+			
+			if ( this.nodesIndices.length > 0 ) {
+				
+				nodeHeaviestObjectsCount = 0;
+				outsideHeaviestObjectsCount = this.objects.length;
+				
+				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+					
+					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+					
+					nodeObjectsCount = node.getObjectCountEnd();
+					outsideHeaviestObjectsCount += nodeObjectsCount;
+					
+					if ( nodeHeaviest instanceof OctreeNode === false || nodeObjectsCount > nodeHeaviestObjectsCount ) {
+						
+						nodeHeaviest = node;
+						nodeHeaviestObjectsCount = nodeObjectsCount;
+						
+					}
+					
+				}
+				
+				// subtract heaviest count from outside count
+				
+				outsideHeaviestObjectsCount -= nodeHeaviestObjectsCount;
+				
+				// if should contract
+				
+				if ( outsideHeaviestObjectsCount < this.tree.objectsThreshold && nodeHeaviest instanceof OctreeNode ) {
+					
+					this.contract( nodeHeaviest );
+					
+				}
+				
+			}
+			
+		},
+		
+		contract: function ( nodeRoot ) {
+			
+			var i, l,
+				node;
+			
+			// handle all nodes
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				// if node is not new root
+				
+				if ( node !== nodeRoot ) {
+					
+					// add node + all subtree objects to root
+					
+					nodeRoot.addObjectWithoutCheck( node.getObjectsEnd() );
+					
+					// reset node + entire subtree
+					
+					node.reset( true, true );
+					
+				}
+				
+			}
+			
+			// add own objects to root
+			
+			nodeRoot.addObjectWithoutCheck( this.objects );
+			
+			// reset self
+			
+			this.reset( false, true );
+			
+			// set new root
+			
+			this.tree.setRoot( nodeRoot );
+			
+			// contract check on new root
+			
+			nodeRoot.checkContract();
+			
+		},
+		
+		getOctantIndex: function ( objectData ) {
+			
+			var i, l,
+				positionObj,
+				radiusObj,
+				position = this.position,
+				radiusOverlap = this.radiusOverlap,
+				overlap = this.overlap,
+				deltaX, deltaY, deltaZ,
+				distX, distY, distZ, 
+				distance,
+				indexOctant = 0;
+			
+			// handle type
+			
+			if ( objectData instanceof OctreeObjectData ) {
+				
+				radiusObj = objectData.radius;
+				
+				positionObj = objectData.position;
+				
+				// update object data position last
+				
+				objectData.positionLast.copy( positionObj );
+				
+			} else if ( objectData instanceof OctreeNode ) {
+				
+				positionObj = objectData.position;
+				
+				radiusObj = 0;
+				
+			}
+			
+			// find delta and distance
+			
+			deltaX = positionObj.x - position.x;
+			deltaY = positionObj.y - position.y;
+			deltaZ = positionObj.z - position.z;
+			
+			distX = Math.abs( deltaX );
+			distY = Math.abs( deltaY );
+			distZ = Math.abs( deltaZ );
+			distance = Math.max( distX, distY, distZ );
+			
+			// if outside, use bitwise flags to indicate on which sides object is outside of
+			
+			if ( distance + radiusObj > radiusOverlap ) {
+				
+				// x
+				
+				if ( distX + radiusObj > radiusOverlap ) {
+					
+					indexOctant = indexOctant ^ ( deltaX > 0 ? this.tree.FLAG_POS_X : this.tree.FLAG_NEG_X );
+					
+				}
+				
+				// y
+				
+				if ( distY + radiusObj > radiusOverlap ) {
+					
+					indexOctant = indexOctant ^ ( deltaY > 0 ? this.tree.FLAG_POS_Y : this.tree.FLAG_NEG_Y );
+					
+				}
+				
+				// z
+				
+				if ( distZ + radiusObj > radiusOverlap ) {
+					
+					indexOctant = indexOctant ^ ( deltaZ > 0 ? this.tree.FLAG_POS_Z : this.tree.FLAG_NEG_Z );
+					
+				}
+				
+				objectData.indexOctant = -indexOctant - this.tree.INDEX_OUTSIDE_OFFSET;
+				
+				return objectData.indexOctant;
+				
+			}
+			
+			// return octant index from delta xyz
+			
+			if ( deltaX - radiusObj > -overlap ) {
+				
+				// x right
+				
+				indexOctant = indexOctant | 1;
+				
+			} else if ( !( deltaX + radiusObj < overlap ) ) {
+				
+				// x left
+				
+				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
+				return objectData.indexOctant;
+				
+			}
+			
+			if ( deltaY - radiusObj > -overlap ) {
+				
+				// y right
+				
+				indexOctant = indexOctant | 2;
+				
+			} else if ( !( deltaY + radiusObj < overlap ) ) {
+				
+				// y left
+				
+				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
+				return objectData.indexOctant;
+				
+			}
+			
+			
+			if ( deltaZ - radiusObj > -overlap ) {
+				
+				// z right
+				
+				indexOctant = indexOctant | 4;
+				
+			} else if ( !( deltaZ + radiusObj < overlap ) ) {
+				
+				// z left
+				
+				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
+				return objectData.indexOctant;
+				
+			}
+			
+			objectData.indexOctant = indexOctant;
+			return objectData.indexOctant;
+			
+		},
+		
+		getOctantIndexFromPosition: function ( x, y, z ) {
+			
+			var indexOctant = 0;
+			
+			if ( x > 0 ) {
+				
+				indexOctant = indexOctant | 1;
+				
+			}
+			
+			if ( y > 0 ) {
+				
+				indexOctant = indexOctant | 2;
+				
+			}
+			
+			if ( z > 0 ) {
+				
+				indexOctant = indexOctant | 4;
+				
+			}
+			
+			return indexOctant;
+			
+		},
+		
+		search: function ( position, radius, objects, direction, directionPct, exact, filter ) {
+			
+			var i, l,
+				node,
+				intersects;
+				
+			// skip subtree without objects in category
+			
+			if ( filter && !filter.testNode( this ) ) {
+				
+				return objects;
+				
+			}
+			
+			// test intersects by parameters
+			
+			if ( direction ) {
+				
+				intersects = this.intersectRay( position, direction, radius, directionPct );
+				
+			} else {
+				
+				intersects = this.intersectSphere( position, radius );
+				
+			}
+			
+			// if intersects
+			
+			if ( intersects === true ) {
+				
+				// gather objects
+				
+				objects = this.searchObjects( position, radius, objects, direction, exact, filter );
+				
+				// search subtree
+				
+				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+					
+					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+					
+					objects = node.search( position, radius, objects, direction, directionPct, exact, filter );
+					
+				}
+				
+			}
+			
+			return objects;
+			
+		},
+		
+		searchObjects: function ( position, radius, objects, direction, exact, filter ) {
+			
+			var i, l,
+				objectData;
+				
+			// exact tests each object against search, otherwise all objects are potential
+			// objects are added in place, so searches may reuse a list
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectData = this.objects[ i ];
+				
+				if ( ( !filter || filter.testObject( objectData ) ) && ( exact !== true || ( direction ? objectData.intersectRay( position, direction, radius ) : objectData.intersectSphere( position, radius ) ) ) ) {
+					
+					objects.push( objectData );
+					
+				}
+				
+			}
+			
+			return objects;
+			
+		},
+		
+		forEachInVolume: function ( volume, callback, filter, inside ) {
+			
+			var i, l,
+				objectData,
+				intersect;
+				
+			// skip subtree without objects in category
+			
+			if ( filter && !filter.testNode( this ) ) {
+				
+				return true;
+				
+			}
+			
+			// objects are contained by node bounds, so all of subtree of a node inside is inside
+			
+			intersect = inside === true ? INTERSECT_INSIDE : volume.intersectNode( this );
+			
+			if ( intersect === INTERSECT_OUTSIDE ) {
+				
+				return true;
+				
+			}
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectData = this.objects[ i ];
+				
+				if ( ( !filter || filter.testObject( objectData ) ) && ( intersect === INTERSECT_INSIDE || volume.intersectObject( objectData ) === true ) && callback( objectData ) === false ) {
+					
+					return false;
+					
+				}
+				
+			}
+			
+			// search subtree
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				if ( this.nodesByIndex[ this.nodesIndices[ i ] ].forEachInVolume( volume, callback, filter, intersect === INTERSECT_INSIDE ) === false ) {
+					
+					return false;
+					
+				}
+				
+			}
+			
+			return true;
+			
+		},
+		
+		countInVolume: function ( volume, filter, inside ) {
+			
+			var i, l,
+				objectData,
+				intersect,
+				count = 0;
+				
+			// skip subtree without objects in category
+			
+			if ( filter && !filter.testNode( this ) ) {
+				
+				return 0;
+				
+			}
+			
+			intersect = inside === true ? INTERSECT_INSIDE : volume.intersectNode( this );
+			
+			if ( intersect === INTERSECT_OUTSIDE ) {
+				
+				return 0;
+				
+			} else if ( intersect === INTERSECT_INSIDE && !filter ) {
+				
+				// all of subtree is inside
+				
+				return this.getObjectCountSubtree();
+				
+			}
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectData = this.objects[ i ];
+				
+				if ( ( !filter || filter.testObject( objectData ) ) && ( intersect === INTERSECT_INSIDE || volume.intersectObject( objectData ) === true ) ) {
+					
+					count++;
+					
+				}
+				
+			}
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				count += this.nodesByIndex[ this.nodesIndices[ i ] ].countInVolume( volume, filter, intersect === INTERSECT_INSIDE );
+				
+			}
+			
+			return count;
+			
+		},
+		
+		findOverlappingPairs: function ( ancestors, start, callback, filter ) {
+			
+			// ancestors from start are object data of ancestors that touch bounds, list is shared as a stack by subtree
+			
+			var i, l,
+				j, k,
+				end = ancestors.length,
+				objectData,
+				objectDataOther,
+				node;
+				
+			// skip subtree without objects in category
+			
+			if ( filter && !filter.testNode( this ) ) {
+				
+				return true;
+				
+			}
+			
+			// objects with ancestors and each other
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectData = this.objects[ i ];
+				
+				if ( filter && !filter.testObject( objectData ) ) {
+					
+					continue;
+					
+				}
+				
+				for ( j = start; j < end; j++ ) {
+					
+					if ( intersectObjectsData( ancestors[ j ], objectData ) && callback( ancestors[ j ], objectData ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+				for ( j = i + 1; j < l; j++ ) {
+					
+					objectDataOther = this.objects[ j ];
+					
+					if ( ( !filter || filter.testObject( objectDataOther ) ) && intersectObjectsData( objectData, objectDataOther ) && callback( objectData, objectDataOther ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+			}
+			
+			// nodes overlap, so subtrees of different nodes may hold overlapping objects
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				for ( j = i + 1; j < l; j++ ) {
+					
+					if ( node.findOverlappingPairsWithNode( this.nodesByIndex[ this.nodesIndices[ j ] ], callback, filter ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+			}
+			
+			// subtrees, with ancestors and objects that touch each node
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				for ( j = start; j < end; j++ ) {
+					
+					objectData = ancestors[ j ];
+					
+					if ( node.intersectSphere( objectData.position, objectData.radius ) ) {
+						
+						ancestors.push( objectData );
+						
+					}
+					
+				}
+				
+				for ( j = 0, k = this.objects.length; j < k; j++ ) {
+					
+					objectData = this.objects[ j ];
+					
+					if ( ( !filter || filter.testObject( objectData ) ) && node.intersectSphere( objectData.position, objectData.radius ) ) {
+						
+						ancestors.push( objectData );
+						
+					}
+					
+				}
+				
+				if ( node.findOverlappingPairs( ancestors, end, callback, filter ) === false ) {
+					
+					return false;
+					
+				}
+				
+				ancestors.length = end;
+				
+			}
+			
+			return true;
+			
+		},
+		
+		findOverlappingPairsWithNode: function ( node, callback, filter ) {
+			
+			// pairs between subtree and subtree of node, calls back with object data of subtree first
+			
+			var i, l,
+				j, k,
+				objectData,
+				nodeSubtree;
+				
+			if ( ( filter && ( !filter.testNode( this ) || !filter.testNode( node ) ) ) || !intersectBounds( this, node ) ) {
+				
+				return true;
+				
+			}
+			
+			// objects with subtree of node
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectData = this.objects[ i ];
+				
+				if ( ( !filter || filter.testObject( objectData ) ) && node.findOverlappingPairsWithObject( objectData, callback, filter ) === false ) {
+					
+					return false;
+					
+				}
+				
+			}
+			
+			// objects of node with subtrees
+			
+			for ( i = 0, l = node.objects.length; i < l; i++ ) {
+				
+				objectData = node.objects[ i ];
+				
+				if ( filter && !filter.testObject( objectData ) ) {
+					
+					continue;
+					
+				}
+				
+				for ( j = 0, k = this.nodesIndices.length; j < k; j++ ) {
+					
+					if ( this.nodesByIndex[ this.nodesIndices[ j ] ].findOverlappingPairsWithObject( objectData, callback, filter, true ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+			}
+			
+			// subtrees with subtrees of node, where bounds overlap
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				nodeSubtree = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				if ( !intersectBounds( nodeSubtree, node ) ) {
+					
+					continue;
+					
+				}
+				
+				for ( j = 0, k = node.nodesIndices.length; j < k; j++ ) {
+					
+					if ( nodeSubtree.findOverlappingPairsWithNode( node.nodesByIndex[ node.nodesIndices[ j ] ], callback, filter ) === false ) {
+						
+						return false;
+						
+					}
+					
+				}
+				
+			}
+			
+			return true;
+			
+		},
+		
+		findOverlappingPairsWithObject: function ( objectData, callback, filter, reversed ) {
+			
+			// pairs between object data outside subtree and subtree, reversed calls back with object data of subtree first
+			
+			var i, l,
+				objectDataOther;
+				
+			if ( ( filter && !filter.testNode( this ) ) || !this.intersectSphere( objectData.position, objectData.radius ) ) {
+				
+				return true;
+				
+			}
+			
+			for ( i = 0, l = this.objects.length; i < l; i++ ) {
+				
+				objectDataOther = this.objects[ i ];
+				
+				if ( ( !filter || filter.testObject( objectDataOther ) ) && intersectObjectsData( objectData, objectDataOther ) &&
+					( reversed === true ? callback( objectDataOther, objectData ) : callback( objectData, objectDataOther ) ) === false ) {
+					
+					return false;
+					
+				}
+				
+			}
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				if ( this.nodesByIndex[ this.nodesIndices[ i ] ].findOverlappingPairsWithObject( objectData, callback, filter, reversed ) === false ) {
+					
+					return false;
+					
+				}
+				
+			}
+			
+			return true;
+			
+		},
+		
+		intersectSphere: function ( position, radius ) {
+			
+			var	distance = radius * radius,
+				px = position.x,
+				py = position.y,
+				pz = position.z;
+			
+			if ( px < this.left ) {
+				distance -= Math.pow( px - this.left, 2 );
+			} else if ( px > this.right ) {
+				distance -= Math.pow( px - this.right, 2 );
+			}
+			
+			if ( py < this.bottom ) {
+				distance -= Math.pow( py - this.bottom, 2 );
+			} else if ( py > this.top ) {
+				distance -= Math.pow( py - this.top, 2 );
+			}
+			
+			if ( pz < this.back ) {
+				distance -= Math.pow( pz - this.back, 2 );
+			} else if ( pz > this.front ) {
+				distance -= Math.pow( pz - this.front, 2 );
+			}
+			
+			return distance >= 0;
+			
+		},
+		
+		intersectRay: function ( origin, direction, distance, directionPct ) {
+			
+			if ( typeof directionPct === 'undefined' ) {
+				
+				directionPct = this.utilVec31Ray.set( 1, 1, 1 ).divide( direction );
+				
+			}
+			
+			var t1 = ( this.left - origin.x ) * directionPct.x,
+				t2 = ( this.right - origin.x ) * directionPct.x,
+				t3 = ( this.bottom - origin.y ) * directionPct.y,
+				t4 = ( this.top - origin.y ) * directionPct.y,
+				t5 = ( this.back - origin.z ) * directionPct.z,
+				t6 = ( this.front - origin.z ) * directionPct.z,
+				tmax = Math.min( Math.min( Math.max( t1, t2), Math.max( t3, t4) ), Math.max( t5, t6) ),
+				tmin;
+
+			// ray would intersect in reverse direction, i.e. this is behind ray
+			if (tmax < 0)
+			{
+				return false;
+			}
+			
+			tmin = Math.max( Math.max( Math.min( t1, t2), Math.min( t3, t4)), Math.min( t5, t6));
+			
+			// if tmin > tmax or tmin > ray distance, ray doesn't intersect AABB
+			if( tmin > tmax || tmin > distance ) {
+				return false;
+			}
+			
+			return true;
+			
+		},
+		
+		getRayEntryDistance: function ( origin, direction, far ) {
+			
+			// distance along direction where ray enters bounds, 0 when origin inside, -1 when missed within far
+			
+			return getRayBoundsEntry( this, origin, direction, far, 0 );
+			
+		},
+		
+		distanceToPoint: function ( position ) {
+			
+			// distance from position to closest point of bounds, 0 when inside
+			
+			var dx = Math.max( this.left - position.x, 0, position.x - this.right ),
+				dy = Math.max( this.bottom - position.y, 0, position.y - this.top ),
+				dz = Math.max( this.back - position.z, 0, position.z - this.front );
+				
+			return Math.sqrt( dx * dx + dy * dy + dz * dz );
+			
+		},
+		
+		getDepthEnd: function ( depth ) {
+			
+			var i, l,
+				node;
+
+			if ( this.nodesIndices.length > 0 ) {
+				
+				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+
+					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+
+					depth = node.getDepthEnd( depth );
+
+				}
+				
+			} else {
+
+				depth = !depth || this.depth > depth ? this.depth : depth;
+
+			}
+
+			return depth;
+			
+		},
+		
+		getNodeCountEnd: function () {
+			
+			return this.tree.root.getNodeCountRecursive() + 1;
+			
+		},
+		
+		getNodeCountRecursive: function () {
+			
+			var i, l,
+				count = this.nodesIndices.length;
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				count += this.nodesByIndex[ this.nodesIndices[ i ] ].getNodeCountRecursive();
+				
+			}
+			
+			return count;
+			
+		},
+		
+		getObjectsEnd: function ( objects, filter ) {
+			
+			var i, l,
+				node;
+				
+			objects = objects || [];
+			
+			if ( filter ) {
+				
+				// skip subtree without objects in category
+				
+				if ( !filter.testNode( this ) ) {
+					
+					return objects;
+					
+				}
+				
+				for ( i = 0, l = this.objects.length; i < l; i++ ) {
+					
+					if ( filter.testObject( this.objects[ i ] ) ) {
+						
+						objects.push( this.objects[ i ] );
+						
+					}
+					
+				}
+				
+			} else {
+				
+				objects = objects.concat( this.objects );
+				
+			}
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				objects = node.getObjectsEnd( objects, filter );
+				
+			}
+			
+			return objects;
+			
+		},
+		
+		getObjectCountEnd: function () {
+			
+			var i, l,
+				count = this.objects.length;
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				count += this.nodesByIndex[ this.nodesIndices[ i ] ].getObjectCountEnd();
+				
+			}
+			
+			return count;
+			
+		},
+		
+		getObjectCountStart: function () {
+			
+			var count = this.objects.length,
+				parent = this.parent;
+			
+			while( parent instanceof OctreeNode ) {
+				
+				count += parent.objects.length;
+				parent = parent.parent;
+				
+			}
+			
+			return count;
+			
+		},
+		
+		toConsole: function ( space ) {
+			
+			var i, l,
+				node,
+				spaceAddition = '   ';
+			
+			space = typeof space === 'string' ? space : spaceAddition;
+			
+			console.log( ( this.parent ? space + ' octree NODE > ' : ' octree ROOT > ' ), this, ' // id: ', this.id, ' // indexOctant: ', this.indexOctant, ' // position: ', this.position.x, this.position.y, this.position.z, ' // radius: ', this.radius, ' // depth: ', this.depth );
+			console.log( ( this.parent ? space + ' ' : ' ' ), '+ objects ( ', this.objects.length, ' ) ', this.objects );
+			console.log( ( this.parent ? space + ' ' : ' ' ), '+ children ( ', this.nodesIndices.length, ' )', this.nodesIndices, this.nodesByIndex );
+			
+			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				
+				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+				
+				node.toConsole( space + spaceAddition );
+				
+			}
+			
+		}
+		
+	};
+
+	/*===================================================
+
+	volumes
+
+	=====================================================*/
+
+	function BoxVolume ( box ) {
+		
+		this.min = box.min;
+		this.max = box.max;
+		
+	}
+	
+	BoxVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			var min = this.min,
+				max = this.max;
+				
+			if ( node.right < min.x || node.left > max.x || node.top < min.y || node.bottom > max.y || node.front < min.z || node.back > max.z ) {
+				
+				return INTERSECT_OUTSIDE;
+				
+			}
+			
+			if ( node.left >= min.x && node.right <= max.x && node.bottom >= min.y && node.top <= max.y && node.back >= min.z && node.front <= max.z ) {
+				
+				return INTERSECT_INSIDE;
+				
+			}
+			
+			return INTERSECT_CROSS;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			var position = objectData.position,
+				radius = objectData.radius,
+				dx = Math.max( this.min.x - position.x, 0, position.x - this.max.x ),
+				dy = Math.max( this.min.y - position.y, 0, position.y - this.max.y ),
+				dz = Math.max( this.min.z - position.z, 0, position.z - this.max.z );
+				
+			return dx * dx + dy * dy + dz * dz <= radius * radius;
+			
+		}
+		
+	};
+	
+	function SphereVolume ( position, radius ) {
+		
+		this.position = position.clone();
+		this.radius = radius > 0 ? radius : 0;
+		
+	}
+	
+	SphereVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			var position = this.position,
+				radiusSq = this.radius * this.radius,
+				dx, dy, dz;
+				
+			if ( !node.intersectSphere( position, this.radius ) ) {
+				
+				return INTERSECT_OUTSIDE;
+				
+			}
+			
+			// bounds are inside when farthest corner is
+			
+			dx = Math.max( position.x - node.left, node.right - position.x );
+			dy = Math.max( position.y - node.bottom, node.top - position.y );
+			dz = Math.max( position.z - node.back, node.front - position.z );
+			
+			return dx * dx + dy * dy + dz * dz <= radiusSq ? INTERSECT_INSIDE : INTERSECT_CROSS;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			return objectData.intersectSphere( this.position, this.radius );
+			
+		}
+		
+	};
+	
+	function RayVolume ( origin, direction, distance ) {
+		
+		this.origin = origin.clone();
+		this.direction = direction.clone().normalize();
+		this.distance = distance > 0 ? distance : Infinity;
+		
+	}
+	
+	RayVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			// ray has no volume, so bounds are never inside
+			
+			return getRayBoundsEntry( node, this.origin, this.direction, this.distance, 0 ) === -1 ? INTERSECT_OUTSIDE : INTERSECT_CROSS;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			return objectData.intersectRay( this.origin, this.direction, this.distance );
+			
+		}
+		
+	};
+	
+	function CapsuleVolume ( start, end, radius ) {
+		
+		this.start = start.clone();
+		this.delta = end.clone().sub( start );
+		this.radius = radius > 0 ? radius : 0;
+		
+	}
+	
+	CapsuleVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			var start = this.start,
+				delta = this.delta,
+				radiusSq = this.radius * this.radius;
+				
+			// bounds grown by radius contain every point within radius of bounds
+			
+			if ( getRayBoundsEntry( node, start, delta, 1, this.radius ) === -1 ) {
+				
+				return INTERSECT_OUTSIDE;
+				
+			}
+			
+			// capsule is convex, so bounds are inside when all corners are
+			
+			if ( distanceSquaredToSegment( node.left, node.bottom, node.back, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.right, node.bottom, node.back, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.left, node.top, node.back, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.right, node.top, node.back, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.left, node.bottom, node.front, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.right, node.bottom, node.front, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.left, node.top, node.front, start, delta ) <= radiusSq &&
+				distanceSquaredToSegment( node.right, node.top, node.front, start, delta ) <= radiusSq ) {
 					
-					// add all expand objects to parent
+				return INTERSECT_INSIDE;
+				
+			}
+			
+			return INTERSECT_CROSS;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			var position = objectData.position,
+				radius = this.radius + objectData.radius;
+				
+			return distanceSquaredToSegment( position.x, position.y, position.z, this.start, this.delta ) <= radius * radius;
+			
+		}
+		
+	};
+
+	function ConeVolume ( apex, direction, angle, range ) {
+		
+		// angle is from direction to side of cone, as with spot lights, range is distance from apex
+		
+		this.apex = apex.clone();
+		this.direction = direction.clone().normalize();
+		this.angle = Math.min( Math.max( angle, 0 ), Math.PI );
+		this.cos = Math.cos( this.angle );
+		this.sin = Math.sin( this.angle );
+		this.range = range > 0 ? range : Infinity;
+		
+	}
+	
+	ConeVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			var i;
+			
+			if ( node.distanceToPoint( this.apex ) > this.range || this.intersectSphere( node.position, node.radiusOverlap * Math.sqrt( 3 ) ) !== true ) {
+				
+				return INTERSECT_OUTSIDE;
+				
+			}
+			
+			// cone is only convex up to 90 degrees, then bounds are inside when all corners are
+			
+			if ( this.angle <= Math.PI * 0.5 ) {
+				
+				for ( i = 0; i < 8; i++ ) {
 					
-					for ( i = 0, l = objectsExpand.length; i < l; i++ ) {
+					if ( this.intersectPoint( i & 1 ? node.right : node.left, i & 2 ? node.top : node.bottom, i & 4 ? node.front : node.back, 0 ) !== true ) {
 						
-						this.tree.root.addObject( objectsExpand[ i ] );
+						return INTERSECT_CROSS;
 						
 					}
 					
 				}
 				
-				// if all objects, set remaining as new objects
-				
-				if ( objects === this.objects ) {
-					
-					this.objects = objectsRemaining;
-					
-				}
-				
-			} else {
-				
-				objectsRemaining = objects;
+				return INTERSECT_INSIDE;
 				
 			}
 			
-			return objectsRemaining;
+			return INTERSECT_CROSS;
 			
 		},
 		
-		shrink: function () {
-			
-			// merge check
+		intersectObject: function ( objectData ) {
 			
-			this.checkMerge();
+			return this.intersectSphere( objectData.position, objectData.radius );
 			
-			// contract check
+		},
+		
+		intersectSphere: function ( position, radius ) {
 			
-			this.tree.root.checkContract();
+			return this.intersectPoint( position.x, position.y, position.z, radius );
 			
 		},
 		
-		checkMerge: function () {
+		intersectPoint: function ( x, y, z, radius ) {
 			
-			var nodeParent = this,
-				nodeMerge;
+			// tests sphere against cone and against range separately
+			// so spheres just outside the rim of the cap may be included
 			
-			// traverse up tree as long as node + entire subtree's object count is under minimum
+			var direction = this.direction,
+				dx = x - this.apex.x,
+				dy = y - this.apex.y,
+				dz = z - this.apex.z,
+				length = Math.sqrt( dx * dx + dy * dy + dz * dz ),
+				along,
+				across;
+				
+			if ( length > this.range + radius ) {
+				
+				return false;
+				
+			}
+			
+			// distance along and away from cone axis
+			
+			along = dx * direction.x + dy * direction.y + dz * direction.z;
+			across = Math.sqrt( Math.max( length * length - along * along, 0 ) );
 			
-			while ( nodeParent.parent instanceof THREE.OctreeNode && nodeParent.getObjectCountEnd() < this.tree.objectsThreshold ) {
+			// inside angle
+			
+			if ( along >= length * this.cos ) {
 				
-				nodeMerge = nodeParent;
-				nodeParent = nodeParent.parent;
+				return true;
 				
 			}
 			
-			// if parent node is not this, merge entire subtree into merge node
+			// closest point of cone is apex when behind side of cone, otherwise on side of cone
 			
-			if ( nodeParent !== this ) {
+			if ( along * this.cos + across * this.sin <= 0 ) {
 				
-				nodeParent.merge( nodeMerge );
+				return length <= radius;
 				
 			}
 			
-		},
+			return across * this.cos - along * this.sin <= radius;
+			
+		}
 		
-		merge: function ( nodes ) {
+	};
+	
+	function PlaneVolume ( plane, mode ) {
+		
+		// mode 'intersect' finds objects crossing plane
+		// mode 'front' or 'back' finds objects in half space on that side of plane, including those crossing it
+		
+		this.plane = plane;
+		this.mode = mode === 'front' || mode === 'back' ? mode : 'intersect';
+		
+	}
+	
+	PlaneVolume.prototype = {
+		
+		intersectNode: function ( node ) {
 			
-			var i, l,
-				j, k,
-				node;
+			var distanceMax = getPlaneBoundsDistance( this.plane, node, 1 ),
+				distanceMin = getPlaneBoundsDistance( this.plane, node, -1 );
+				
+			if ( this.mode === 'front' ) {
+				
+				return distanceMax < 0 ? INTERSECT_OUTSIDE : distanceMin >= 0 ? INTERSECT_INSIDE : INTERSECT_CROSS;
+				
+			} else if ( this.mode === 'back' ) {
+				
+				return distanceMin > 0 ? INTERSECT_OUTSIDE : distanceMax <= 0 ? INTERSECT_INSIDE : INTERSECT_CROSS;
+				
+			}
 			
-			// handle nodes
+			// objects are contained by node bounds, so only bounds crossing plane can have objects crossing it
 			
-			nodes = toArray( nodes );
+			return distanceMax < 0 || distanceMin > 0 ? INTERSECT_OUTSIDE : INTERSECT_CROSS;
 			
-			for ( i = 0, l = nodes.length; i < l; i++ ) {
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			var distance = this.plane.distanceToPoint( objectData.position ),
+				radius = objectData.radius;
 				
-				node = nodes[ i ];
+			if ( this.mode === 'front' ) {
 				
-				// gather node + all subtree objects
+				return distance >= -radius;
 				
-				this.addObjectWithoutCheck( node.getObjectsEnd() );
+			} else if ( this.mode === 'back' ) {
 				
-				// reset node + entire subtree
+				return distance <= radius;
 				
-				node.reset( true, true );
+			}
+			
+			return Math.abs( distance ) <= radius;
+			
+		}
+		
+	};
+	
+	function OrientedBoxVolume ( center, halfSize, rotation ) {
+		
+		// rotation is a quaternion or the rotation of a matrix, scale of matrix is ignored
+		
+		var i, j,
+			axis,
+			elements;
+			
+		this.center = center.clone();
+		this.halfSize = [ halfSize.x, halfSize.y, halfSize.z ];
+		this.axes = [ new THREE.Vector3( 1, 0, 0 ), new THREE.Vector3( 0, 1, 0 ), new THREE.Vector3( 0, 0, 1 ) ];
+		
+		if ( rotation instanceof THREE.Quaternion ) {
+			
+			for ( i = 0; i < 3; i++ ) {
 				
-				// remove node
+				this.axes[ i ].applyQuaternion( rotation );
 				
-				this.removeNode( node.indexOctant, node );
+			}
+			
+		} else if ( rotation instanceof THREE.Matrix4 ) {
+			
+			elements = rotation.elements;
+			
+			for ( i = 0; i < 3; i++ ) {
+				
+				this.axes[ i ].set( elements[ i * 4 ], elements[ i * 4 + 1 ], elements[ i * 4 + 2 ] ).normalize();
 				
 			}
 			
-			// merge check
+		}
+		
+		// world axis i dotted with box axis j, absolute values padded for near parallel edges
+		
+		this.rotation = [ [], [], [] ];
+		this.rotationAbs = [ [], [], [] ];
+		
+		for ( j = 0; j < 3; j++ ) {
 			
-			this.checkMerge();
+			axis = this.axes[ j ];
 			
-		},
+			for ( i = 0; i < 3; i++ ) {
+				
+				this.rotation[ i ][ j ] = i === 0 ? axis.x : i === 1 ? axis.y : axis.z;
+				this.rotationAbs[ i ][ j ] = Math.abs( this.rotation[ i ][ j ] ) + 1e-6;
+				
+			}
+			
+		}
 		
-		checkContract: function () {
+	}
+	
+	OrientedBoxVolume.prototype = {
+		
+		intersectNode: function ( node ) {
 			
-			var i, l,
-				node,
-				nodeObjectsCount,
-				nodeHeaviest,
-				nodeHeaviestObjectsCount,
-				outsideHeaviestObjectsCount;
+			var i, j,
+				i1, i2,
+				j1, j2,
+				r = this.rotation,
+				rAbs = this.rotationAbs,
+				e = this.halfSize,
+				h = node.radiusOverlap,
+				t = [ this.center.x - node.position.x, this.center.y - node.position.y, this.center.z - node.position.z ],
+				tBox;
+				
+			// separating axis test, node axes
 			
-			// find node with highest object count
+			for ( i = 0; i < 3; i++ ) {
+				
+				if ( Math.abs( t[ i ] ) > h + e[ 0 ] * rAbs[ i ][ 0 ] + e[ 1 ] * rAbs[ i ][ 1 ] + e[ 2 ] * rAbs[ i ][ 2 ] ) {
+					
+					return INTERSECT_OUTSIDE;
+					
+				}
+				
+			}
 			
-			if ( this.nodesIndices.length > 0 ) {
+			// box axes
+			
+			for ( j = 0; j < 3; j++ ) {
 				
-				nodeHeaviestObjectsCount = 0;
-				outsideHeaviestObjectsCount = this.objects.length;
+				tBox = t[ 0 ] * r[ 0 ][ j ] + t[ 1 ] * r[ 1 ][ j ] + t[ 2 ] * r[ 2 ][ j ];
 				
-				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				if ( Math.abs( tBox ) > h * ( rAbs[ 0 ][ j ] + rAbs[ 1 ][ j ] + rAbs[ 2 ][ j ] ) + e[ j ] ) {
 					
-					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+					return INTERSECT_OUTSIDE;
 					
-					nodeObjectsCount = node.getObjectCountEnd();
-					outsideHeaviestObjectsCount += nodeObjectsCount;
+				}
+				
+			}
+			
+			// cross products of node axes and box axes
+			
+			for ( i = 0; i < 3; i++ ) {
+				
+				i1 = ( i + 1 ) % 3;
+				i2 = ( i + 2 ) % 3;
+				
+				for ( j = 0; j < 3; j++ ) {
 					
-					if ( nodeHeaviest instanceof THREE.OctreeNode === false || nodeObjectsCount > nodeHeaviestObjectsCount ) {
+					j1 = ( j + 1 ) % 3;
+					j2 = ( j + 2 ) % 3;
+					
+					if ( Math.abs( t[ i2 ] * r[ i1 ][ j ] - t[ i1 ] * r[ i2 ][ j ] ) > h * ( rAbs[ i2 ][ j ] + rAbs[ i1 ][ j ] ) + e[ j1 ] * rAbs[ i ][ j2 ] + e[ j2 ] * rAbs[ i ][ j1 ] ) {
 						
-						nodeHeaviest = node;
-						nodeHeaviestObjectsCount = nodeObjectsCount;
+						return INTERSECT_OUTSIDE;
 						
 					}
 					
 				}
 				
-				// subtract heaviest count from outside count
+			}
+			
+			// box is convex, so bounds are inside when all corners are
+			
+			for ( i = 0; i < 8; i++ ) {
 				
-				outsideHeaviestObjectsCount -= nodeHeaviestObjectsCount;
+				if ( this.distanceSquaredToPoint( i & 1 ? node.right : node.left, i & 2 ? node.top : node.bottom, i & 4 ? node.front : node.back ) > 0 ) {
+					
+					return INTERSECT_CROSS;
+					
+				}
+				
+			}
+			
+			return INTERSECT_INSIDE;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			var position = objectData.position;
+			
+			return this.distanceSquaredToPoint( position.x, position.y, position.z ) <= objectData.radius * objectData.radius;
+			
+		},
+		
+		distanceSquaredToPoint: function ( x, y, z ) {
+			
+			// distance from point to box, in box space
+			
+			var i,
+				axis,
+				along,
+				outside,
+				distanceSq = 0,
+				dx = x - this.center.x,
+				dy = y - this.center.y,
+				dz = z - this.center.z;
+				
+			for ( i = 0; i < 3; i++ ) {
+				
+				axis = this.axes[ i ];
+				along = dx * axis.x + dy * axis.y + dz * axis.z;
+				outside = Math.abs( along ) - this.halfSize[ i ];
+				
+				if ( outside > 0 ) {
+					
+					distanceSq += outside * outside;
+					
+				}
+				
+			}
+			
+			return distanceSq;
+			
+		}
+		
+	};
+	
+	function ConvexVolume ( planes ) {
+		
+		// convex volume bounded by planes pointing inward, as with frustum planes
+		
+		this.planes = planes;
+		
+	}
+	
+	ConvexVolume.prototype = {
+		
+		intersectNode: function ( node ) {
+			
+			var i, l,
+				plane,
+				distanceMax,
+				distanceMin,
+				intersect = INTERSECT_INSIDE;
+				
+			for ( i = 0, l = this.planes.length; i < l; i++ ) {
+				
+				plane = this.planes[ i ];
+				
+				distanceMax = getPlaneBoundsDistance( plane, node, 1 );
+				
+				if ( distanceMax < 0 ) {
+					
+					return INTERSECT_OUTSIDE;
+					
+				}
 				
-				// if should contract
+				distanceMin = getPlaneBoundsDistance( plane, node, -1 );
 				
-				if ( outsideHeaviestObjectsCount < this.tree.objectsThreshold && nodeHeaviest instanceof THREE.OctreeNode ) {
+				if ( distanceMin < 0 ) {
 					
-					this.contract( nodeHeaviest );
+					intersect = INTERSECT_CROSS;
 					
 				}
 				
 			}
 			
+			return intersect;
+			
 		},
 		
-		contract: function ( nodeRoot ) {
-			
-			var i, l,
-				node;
+		intersectObject: function ( objectData ) {
 			
-			// handle all nodes
+			var i, l;
 			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
-				
-				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
-				
-				// if node is not new root
+			for ( i = 0, l = this.planes.length; i < l; i++ ) {
 				
-				if ( node !== nodeRoot ) {
-					
-					// add node + all subtree objects to root
-					
-					nodeRoot.addObjectWithoutCheck( node.getObjectsEnd() );
-					
-					// reset node + entire subtree
+				if ( this.planes[ i ].distanceToPoint( objectData.position ) < -objectData.radius ) {
 					
-					node.reset( true, true );
+					return false;
 					
 				}
 				
 			}
 			
-			// add own objects to root
-			
-			nodeRoot.addObjectWithoutCheck( this.objects );
+			return true;
 			
-			// reset self
+		}
+		
+	};
+
+	function ScreenRegionVolume ( camera, region ) {
+		
+		// part of camera frustum within bounds of region, with object positions projected and tested against region itself
+		
+		var i, l,
+			point,
+			elements;
 			
-			this.reset( false, true );
+		this.matrix = new THREE.Matrix4().multiplyMatrices( camera.projectionMatrix, camera.matrixWorldInverse );
+		
+		if ( isArray( region ) ) {
 			
-			// set new root
+			this.polygon = region;
+			this.min = new THREE.Vector2( Infinity, Infinity );
+			this.max = new THREE.Vector2( -Infinity, -Infinity );
 			
-			this.tree.setRoot( nodeRoot );
+			for ( i = 0, l = region.length; i < l; i++ ) {
+				
+				point = region[ i ];
+				
+				this.min.set( Math.min( this.min.x, point.x ), Math.min( this.min.y, point.y ) );
+				this.max.set( Math.max( this.max.x, point.x ), Math.max( this.max.y, point.y ) );
+				
+			}
 			
-			// contract check on new root
+		} else {
 			
-			nodeRoot.checkContract();
+			this.polygon = null;
+			this.min = region.min;
+			this.max = region.max;
 			
-		},
+		}
 		
-		getOctantIndex: function ( objectData ) {
+		elements = this.matrix.elements;
+		
+		this.convex = new ConvexVolume( [
+			getProjectionPlane( elements, 0, 1, this.min.x ),
+			getProjectionPlane( elements, 0, -1, -this.max.x ),
+			getProjectionPlane( elements, 1, 1, this.min.y ),
+			getProjectionPlane( elements, 1, -1, -this.max.y ),
+			getProjectionPlane( elements, 2, 1, -1 ),
+			getProjectionPlane( elements, 2, -1, -1 )
+		] );
+		
+	}
+	
+	ScreenRegionVolume.prototype = {
+		
+		intersectNode: function ( node ) {
 			
-			var i, l,
-				positionObj,
-				radiusObj,
-				position = this.position,
-				radiusOverlap = this.radiusOverlap,
-				overlap = this.overlap,
-				deltaX, deltaY, deltaZ,
-				distX, distY, distZ, 
-				distance,
-				indexOctant = 0;
+			var intersect = this.convex.intersectNode( node );
 			
-			// handle type
+			// node inside bounds of a polygon may still have objects outside polygon
 			
-			if ( objectData instanceof THREE.OctreeObjectData ) {
-				
-				radiusObj = objectData.radius;
-				
-				positionObj = objectData.position;
-				
-				// update object data position last
+			return intersect === INTERSECT_INSIDE && this.polygon !== null ? INTERSECT_CROSS : intersect;
+			
+		},
+		
+		intersectObject: function ( objectData ) {
+			
+			var e = this.matrix.elements,
+				p = objectData.position,
+				x = e[ 0 ] * p.x + e[ 4 ] * p.y + e[ 8 ] * p.z + e[ 12 ],
+				y = e[ 1 ] * p.x + e[ 5 ] * p.y + e[ 9 ] * p.z + e[ 13 ],
+				z = e[ 2 ] * p.x + e[ 6 ] * p.y + e[ 10 ] * p.z + e[ 14 ],
+				w = e[ 3 ] * p.x + e[ 7 ] * p.y + e[ 11 ] * p.z + e[ 15 ];
 				
-				objectData.positionLast.copy( positionObj );
+			// in front of camera and between near and far
+			
+			if ( !( w > 0 ) || z < -w || z > w ) {
 				
-			} else if ( objectData instanceof THREE.OctreeNode ) {
+				return false;
 				
-				positionObj = objectData.position;
+			}
+			
+			x /= w;
+			y /= w;
+			
+			if ( this.polygon === null ) {
 				
-				radiusObj = 0;
+				return x >= this.min.x && x <= this.max.x && y >= this.min.y && y <= this.max.y;
 				
 			}
 			
-			// find delta and distance
-			
-			deltaX = positionObj.x - position.x;
-			deltaY = positionObj.y - position.y;
-			deltaZ = positionObj.z - position.z;
+			return isPointInPolygon( x, y, this.polygon );
 			
-			distX = Math.abs( deltaX );
-			distY = Math.abs( deltaY );
-			distZ = Math.abs( deltaZ );
-			distance = Math.max( distX, distY, distZ );
+		}
+		
+	};
+
+	/*===================================================
+
+	nearest
+
+	=====================================================*/
+
+	function BestFirstIterator ( tree, getNodeKey, getObjectKey, filter ) {
+		
+		// yields object data in order of increasing key, key of a node must not be more than keys of objects inside it
+		// key functions return -1 to skip a node or object
+		
+		this.getNodeKey = getNodeKey;
+		this.getObjectKey = getObjectKey;
+		this.filter = filter;
+		this.heap = new BinaryHeap();
+		
+		// root may hold objects outside its bounds, so it always comes first
+		
+		this.heap.push( { key: 0, node: tree.root } );
+		
+	}
+	
+	BestFirstIterator.prototype = {
+		
+		next: function () {
 			
-			// if outside, use bitwise flags to indicate on which sides object is outside of
+			// returns entry of object data and key, or null when done
 			
-			if ( distance + radiusObj > radiusOverlap ) {
+			var i, l,
+				entry,
+				node,
+				objectData,
+				key,
+				heap = this.heap,
+				filter = this.filter;
 				
-				// x
+			while ( heap.size() > 0 ) {
 				
-				if ( distX + radiusObj > radiusOverlap ) {
+				entry = heap.pop();
+				
+				// object data is before anything left in heap
+				
+				if ( entry.objectData ) {
 					
-					indexOctant = indexOctant ^ ( deltaX > 0 ? this.tree.FLAG_POS_X : this.tree.FLAG_NEG_X );
+					return entry;
 					
 				}
 				
-				// y
+				node = entry.node;
 				
-				if ( distY + radiusObj > radiusOverlap ) {
+				for ( i = 0, l = node.objects.length; i < l; i++ ) {
 					
-					indexOctant = indexOctant ^ ( deltaY > 0 ? this.tree.FLAG_POS_Y : this.tree.FLAG_NEG_Y );
+					objectData = node.objects[ i ];
+					
+					if ( filter !== null && !filter.testObject( objectData ) ) {
+						
+						continue;
+						
+					}
+					
+					key = this.getObjectKey( objectData );
+					
+					if ( key !== -1 ) {
+						
+						heap.push( { key: key, objectData: objectData } );
+						
+					}
 					
 				}
 				
-				// z
-				
-				if ( distZ + radiusObj > radiusOverlap ) {
+				for ( i = 0, l = entry.node.nodesIndices.length; i < l; i++ ) {
 					
-					indexOctant = indexOctant ^ ( deltaZ > 0 ? this.tree.FLAG_POS_Z : this.tree.FLAG_NEG_Z );
+					node = entry.node.nodesByIndex[ entry.node.nodesIndices[ i ] ];
+					
+					if ( filter !== null && !filter.testNode( node ) ) {
+						
+						continue;
+						
+					}
+					
+					key = this.getNodeKey( node );
+					
+					if ( key !== -1 ) {
+						
+						heap.push( { key: key, node: node } );
+						
+					}
 					
 				}
 				
-				objectData.indexOctant = -indexOctant - this.tree.INDEX_OUTSIDE_OFFSET;
-				
-				return objectData.indexOctant;
-				
 			}
 			
-			// return octant index from delta xyz
+			return null;
 			
-			if ( deltaX - radiusObj > -overlap ) {
-				
-				// x right
-				
-				indexOctant = indexOctant | 1;
-				
-			} else if ( !( deltaX + radiusObj < overlap ) ) {
-				
-				// x left
-				
-				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
-				return objectData.indexOctant;
-				
-			}
+		}
+		
+	};
+	
+	function NearestIterator ( tree, position, maxDistance, filter ) {
+		
+		// yields object data in order of increasing distance from position, optionally only those passing filter
+		
+		position = position.clone();
+		maxDistance = maxDistance > 0 ? maxDistance : Infinity;
+		
+		this.iterator = new BestFirstIterator( tree, function ( node ) {
 			
-			if ( deltaY - radiusObj > -overlap ) {
-				
-				// y right
-				
-				indexOctant = indexOctant | 2;
-				
-			} else if ( !( deltaY + radiusObj < overlap ) ) {
-				
-				// y left
+			var distance = node.distanceToPoint( position );
+			
+			return distance <= maxDistance ? distance : -1;
+			
+		}, function ( objectData ) {
+			
+			var distance = objectData.position.distanceTo( position );
+			
+			return distance <= maxDistance ? distance : -1;
+			
+		}, getQueryFilter( filter ) );
+		
+	}
+	
+	NearestIterator.prototype = {
+		
+		next: function () {
+			
+			var entry = this.iterator.next();
+			
+			if ( entry === null ) {
 				
-				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
-				return objectData.indexOctant;
+				return { value: undefined, done: true };
 				
 			}
 			
+			return { value: { objectData: entry.objectData, distance: entry.key }, done: false };
 			
-			if ( deltaZ - radiusObj > -overlap ) {
-				
-				// z right
-				
-				indexOctant = indexOctant | 4;
-				
-			} else if ( !( deltaZ + radiusObj < overlap ) ) {
-				
-				// z left
+		}
+		
+	};
+	
+	if ( typeof Symbol === 'function' && Symbol.iterator ) {
+		
+		NearestIterator.prototype[ Symbol.iterator ] = function () {
+			
+			return this;
+			
+		};
+		
+	}
+
+	/*===================================================
+
+	ray batch
+
+	=====================================================*/
+
+	function RayBatch ( tree, origins, directions, far, filter, intersectObject ) {
+		
+		// rays grouped by signs of direction, so children can be visited front to back for all rays of a group
+		// without intersectObject, gathers candidates of each ray, otherwise nearest hit of each ray
+		
+		var i,
+			x, y, z,
+			length,
+			octant,
+			groupsCursor,
+			farEach = typeof far === 'object' && far !== null,
+			count = Math.floor( Math.min( origins.length, directions.length ) / 3 );
+			
+		this.tree = tree;
+		this.filter = getQueryFilter( filter );
+		this.intersectObject = typeof intersectObject === 'function' ? intersectObject : null;
+		this.count = count;
+		this.origins = origins;
+		this.directions = new Float64Array( count * 3 );
+		this.directionsPct = new Float64Array( count * 3 );
+		this.far = new Float64Array( count );
+		this.order = new Uint32Array( count );
+		this.groupsStart = new Uint32Array( 9 );
+		this.rays = [];
+		this.origin = new THREE.Vector3();
+		this.direction = new THREE.Vector3();
+		
+		// nodes are searched for each ray within bound, which is far or distance of nearest hit so far
+		
+		this.bounds = new Float64Array( count );
+		this.hits = new Int32Array( count );
+		this.candidatesRays = [];
+		this.candidatesObjects = [];
+		
+		for ( i = 0; i < count; i++ ) {
+			
+			x = directions[ i * 3 ];
+			y = directions[ i * 3 + 1 ];
+			z = directions[ i * 3 + 2 ];
+			length = Math.sqrt( x * x + y * y + z * z );
+			
+			// no negative zero, so components of 0 have positive inverse
+			
+			if ( length > 0 ) {
 				
-				objectData.indexOctant = this.tree.INDEX_INSIDE_CROSS;
-				return objectData.indexOctant;
+				x = x / length || 0;
+				y = y / length || 0;
+				z = z / length || 0;
 				
 			}
 			
-			objectData.indexOctant = indexOctant;
-			return objectData.indexOctant;
+			this.directions[ i * 3 ] = x;
+			this.directions[ i * 3 + 1 ] = y;
+			this.directions[ i * 3 + 2 ] = z;
+			this.directionsPct[ i * 3 ] = 1 / x;
+			this.directionsPct[ i * 3 + 1 ] = 1 / y;
+			this.directionsPct[ i * 3 + 2 ] = 1 / z;
 			
-		},
+			this.far[ i ] = farEach === true ? far[ i ] : far;
+			this.far[ i ] = this.far[ i ] > 0 ? this.far[ i ] : Infinity;
+			this.bounds[ i ] = this.far[ i ];
+			this.hits[ i ] = -1;
+			
+			// count rays in each group
+			
+			octant = ( x < 0 ? 1 : 0 ) | ( y < 0 ? 2 : 0 ) | ( z < 0 ? 4 : 0 );
+			this.groupsStart[ octant + 1 ]++;
+			
+		}
 		
-		getOctantIndexFromPosition: function ( x, y, z ) {
+		for ( i = 1; i < 9; i++ ) {
 			
-			var indexOctant = 0;
+			this.groupsStart[ i ] += this.groupsStart[ i - 1 ];
 			
-			if ( x > 0 ) {
+		}
+		
+		groupsCursor = this.groupsStart.slice( 0, 8 );
+		
+		for ( i = 0; i < count; i++ ) {
+			
+			octant = ( this.directions[ i * 3 ] < 0 ? 1 : 0 ) | ( this.directions[ i * 3 + 1 ] < 0 ? 2 : 0 ) | ( this.directions[ i * 3 + 2 ] < 0 ? 4 : 0 );
+			this.order[ groupsCursor[ octant ]++ ] = i;
+			
+		}
+		
+	}
+	
+	RayBatch.prototype = {
+		
+		search: function () {
+			
+			var i,
+				octant,
+				rays = this.rays;
 				
-				indexOctant = indexOctant | 1;
+			for ( octant = 0; octant < 8; octant++ ) {
 				
-			}
-			
-			if ( y > 0 ) {
+				rays.length = 0;
 				
-				indexOctant = indexOctant | 2;
+				for ( i = this.groupsStart[ octant ]; i < this.groupsStart[ octant + 1 ]; i++ ) {
+					
+					rays.push( this.order[ i ] );
+					
+				}
 				
-			}
-			
-			if ( z > 0 ) {
+				// root may hold objects outside its bounds, so all rays search root
 				
-				indexOctant = indexOctant | 4;
+				if ( rays.length > 0 ) {
+					
+					this.searchNode( this.tree.root, 0, rays.length, octant );
+					
+				}
 				
 			}
 			
-			return indexOctant;
+			rays.length = 0;
 			
 		},
 		
-		search: function ( position, radius, objects, direction, directionPct ) {
+		searchNode: function ( node, start, end, octant ) {
 			
-			var i, l,
-				node,
-				intersects;
+			// rays from start to end enter node, rays list is shared as a stack by subtree
 			
-			// test intersects by parameters
+			var i, l,
+				j,
+				ray,
+				filter = this.filter,
+				rays = this.rays,
+				objects = node.objects,
+				nodeChild,
+				startChild;
+				
+			if ( filter !== null && !filter.testNode( node ) ) {
+				
+				return;
+				
+			}
 			
-			if ( direction ) {
+			for ( j = start; j < end; j++ ) {
 				
-				intersects = this.intersectRay( position, direction, radius, directionPct );
+				ray = rays[ j ];
 				
-			} else {
+				this.setRay( ray );
 				
-				intersects = this.intersectSphere( position, radius );
+				for ( i = 0, l = objects.length; i < l; i++ ) {
+					
+					if ( filter === null || filter.testObject( objects[ i ] ) ) {
+						
+						this.searchObject( ray, objects[ i ] );
+						
+					}
+					
+				}
 				
 			}
 			
-			// if intersects
+			// octant index bits are positive x, y, z and group bits negative x, y, z, so this order is front to back
 			
-			if ( intersects === true ) {
+			for ( i = 0; i < 8; i++ ) {
 				
-				// gather objects
+				nodeChild = node.nodesByIndex[ i ^ octant ];
 				
-				objects = objects.concat( this.objects );
+				if ( !( nodeChild instanceof OctreeNode ) ) {
+					
+					continue;
+					
+				}
 				
-				// search subtree
+				startChild = rays.length;
 				
-				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				for ( j = start; j < end; j++ ) {
 					
-					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+					ray = rays[ j ];
+					
+					if ( this.enterNode( nodeChild, ray ) === true ) {
+						
+						rays.push( ray );
+						
+					}
+					
+				}
+				
+				if ( rays.length > startChild ) {
 					
-					objects = node.search( position, radius, objects, direction );
+					this.searchNode( nodeChild, startChild, rays.length, octant );
 					
 				}
 				
+				rays.length = startChild;
+				
 			}
 			
-			return objects;
-			
 		},
 		
-		intersectSphere: function ( position, radius ) {
-			
-			var	distance = radius * radius,
-				px = position.x,
-				py = position.y,
-				pz = position.z;
-			
-			if ( px < this.left ) {
-				distance -= Math.pow( px - this.left, 2 );
-			} else if ( px > this.right ) {
-				distance -= Math.pow( px - this.right, 2 );
-			}
-			
-			if ( py < this.bottom ) {
-				distance -= Math.pow( py - this.bottom, 2 );
-			} else if ( py > this.top ) {
-				distance -= Math.pow( py - this.top, 2 );
-			}
+		searchObject: function ( ray, objectData ) {
 			
-			if ( pz < this.back ) {
-				distance -= Math.pow( pz - this.back, 2 );
-			} else if ( pz > this.front ) {
-				distance -= Math.pow( pz - this.front, 2 );
+			var distance,
+				hit;
+				
+			if ( this.intersectObject === null ) {
+				
+				if ( objectData.intersectRay( this.origin, this.direction, this.far[ ray ] ) ) {
+					
+					this.candidatesRays.push( ray );
+					this.candidatesObjects.push( objectData.index );
+					
+				}
+				
+			} else {
+				
+				// bounding sphere before narrow phase
+				
+				distance = intersectRaySphere( this.origin, this.direction, objectData.position, objectData.radius );
+				
+				if ( distance === -1 || distance > this.bounds[ ray ] ) {
+					
+					return;
+					
+				}
+				
+				hit = this.intersectObject.call( this.tree, objectData, this.origin, this.direction, this.far[ ray ] );
+				
+				if ( hit && ( hit.distance < this.bounds[ ray ] || ( this.hits[ ray ] === -1 && hit.distance <= this.bounds[ ray ] ) ) ) {
+					
+					this.bounds[ ray ] = hit.distance;
+					this.hits[ ray ] = objectData.index;
+					
+				}
+				
 			}
 			
-			return distance >= 0;
-			
 		},
 		
-		intersectRay: function ( origin, direction, distance, directionPct ) {
+		enterNode: function ( node, ray ) {
 			
-			if ( typeof directionPct === 'undefined' ) {
-				
-				directionPct = this.utilVec31Ray.set( 1, 1, 1 ).divide( direction );
+			// slab test as getRayBoundsEntry, with direction pct of each ray found once for batch
+			
+			var index = ray * 3,
+				tmin = 0,
+				tmax = this.bounds[ ray ],
+				origin,
+				pct,
+				t1, t2;
 				
-			}
+			origin = this.origins[ index ];
+			pct = this.directionsPct[ index ];
 			
-			var t1 = ( this.left - origin.x ) * directionPct.x,
-				t2 = ( this.right - origin.x ) * directionPct.x,
-				t3 = ( this.bottom - origin.y ) * directionPct.y,
-				t4 = ( this.top - origin.y ) * directionPct.y,
-				t5 = ( this.back - origin.z ) * directionPct.z,
-				t6 = ( this.front - origin.z ) * directionPct.z,
-				tmax = Math.min( Math.min( Math.max( t1, t2), Math.max( t3, t4) ), Math.max( t5, t6) ),
-				tmin;
-
-			// ray would intersect in reverse direction, i.e. this is behind ray
-			if (tmax < 0)
-			{
-				return false;
+			if ( pct === Infinity ) {
+				
+				if ( origin < node.left || origin > node.right ) {
+					
+					return false;
+					
+				}
+				
+			} else {
+				
+				t1 = ( node.left - origin ) * pct;
+				t2 = ( node.right - origin ) * pct;
+				tmin = Math.max( tmin, Math.min( t1, t2 ) );
+				tmax = Math.min( tmax, Math.max( t1, t2 ) );
+				
 			}
 			
-			tmin = Math.max( Math.max( Math.min( t1, t2), Math.min( t3, t4)), Math.min( t5, t6));
+			origin = this.origins[ index + 1 ];
+			pct = this.directionsPct[ index + 1 ];
 			
-			// if tmin > tmax or tmin > ray distance, ray doesn't intersect AABB
-			if( tmin > tmax || tmin > distance ) {
-				return false;
+			if ( pct === Infinity ) {
+				
+				if ( origin < node.bottom || origin > node.top ) {
+					
+					return false;
+					
+				}
+				
+			} else {
+				
+				t1 = ( node.bottom - origin ) * pct;
+				t2 = ( node.top - origin ) * pct;
+				tmin = Math.max( tmin, Math.min( t1, t2 ) );
+				tmax = Math.min( tmax, Math.max( t1, t2 ) );
+				
 			}
 			
-			return true;
-			
-		},
-		
-		getDepthEnd: function ( depth ) {
+			origin = this.origins[ index + 2 ];
+			pct = this.directionsPct[ index + 2 ];
 			
-			var i, l,
-				node;
-
-			if ( this.nodesIndices.length > 0 ) {
+			if ( pct === Infinity ) {
 				
-				for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
-
-					node = this.nodesByIndex[ this.nodesIndices[ i ] ];
-
-					depth = node.getDepthEnd( depth );
-
+				if ( origin < node.back || origin > node.front ) {
+					
+					return false;
+					
 				}
 				
 			} else {
-
-				depth = !depth || this.depth > depth ? this.depth : depth;
-
+				
+				t1 = ( node.back - origin ) * pct;
+				t2 = ( node.front - origin ) * pct;
+				tmin = Math.max( tmin, Math.min( t1, t2 ) );
+				tmax = Math.min( tmax, Math.max( t1, t2 ) );
+				
 			}
-
-			return depth;
+			
+			return tmin <= tmax;
 			
 		},
 		
-		getNodeCountEnd: function () {
+		setRay: function ( ray ) {
 			
-			return this.tree.root.getNodeCountRecursive() + 1;
+			this.origin.set( this.origins[ ray * 3 ], this.origins[ ray * 3 + 1 ], this.origins[ ray * 3 + 2 ] );
+			this.direction.set( this.directions[ ray * 3 ], this.directions[ ray * 3 + 1 ], this.directions[ ray * 3 + 2 ] );
 			
 		},
 		
-		getNodeCountRecursive: function () {
+		getCandidates: function () {
 			
 			var i, l,
-				count = this.nodesIndices.length;
-			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+				offsets = new Uint32Array( this.count + 1 ),
+				offsetsCursor,
+				objects = new Uint32Array( this.candidatesRays.length );
 				
-				count += this.nodesByIndex[ this.nodesIndices[ i ] ].getNodeCountRecursive();
+			for ( i = 0, l = this.candidatesRays.length; i < l; i++ ) {
+				
+				offsets[ this.candidatesRays[ i ] + 1 ]++;
 				
 			}
 			
-			return count;
-			
-		},
-		
-		getObjectsEnd: function ( objects ) {
-			
-			var i, l,
-				node;
+			for ( i = 1, l = offsets.length; i < l; i++ ) {
+				
+				offsets[ i ] += offsets[ i - 1 ];
+				
+			}
 			
-			objects = ( objects || [] ).concat( this.objects );
+			offsetsCursor = offsets.slice( 0, this.count );
 			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+			for ( i = 0, l = this.candidatesRays.length; i < l; i++ ) {
 				
-				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
-				
-				objects = node.getObjectsEnd( objects );
+				objects[ offsetsCursor[ this.candidatesRays[ i ] ]++ ] = this.candidatesObjects[ i ];
 				
 			}
 			
-			return objects;
+			return { offsets: offsets, objects: objects };
 			
 		},
 		
-		getObjectCountEnd: function () {
+		getHits: function () {
 			
-			var i, l,
-				count = this.objects.length;
-			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
+			var i,
+				distances = new Float32Array( this.count );
 				
-				count += this.nodesByIndex[ this.nodesIndices[ i ] ].getObjectCountEnd();
+			for ( i = 0; i < this.count; i++ ) {
+				
+				distances[ i ] = this.hits[ i ] === -1 ? -1 : this.bounds[ i ];
 				
 			}
 			
-			return count;
+			return { distances: distances, objects: this.hits };
 			
-		},
+		}
 		
-		getObjectCountStart: function () {
+	};
+
+	/*===================================================
+
+	raycaster additional functionality
+
+	=====================================================*/
+	
+	function intersectBufferFaces ( raycaster, object, faces, recursive ) {
+		
+		// temporarily draw only octree object triangles, so three tests those alone
+		
+		var i, l,
+			face,
+			group = null,
+			groups = [],
+			geometry = object.geometry,
+			indexAll = geometry.index,
+			groupsAll = geometry.groups,
+			drawStart = geometry.drawRange.start,
+			drawCount = geometry.drawRange.count,
+			indices = geometry.attributes.position.count > 65535 ? new Uint32Array( faces.length * 3 ) : new Uint16Array( faces.length * 3 ),
+			intersect,
+			intersects;
 			
-			var count = this.objects.length,
-				parent = this.parent;
+		for ( i = 0, l = faces.length; i < l; i++ ) {
+			
+			face = faces[ i ];
+			
+			indices[ i * 3 ] = face.a;
+			indices[ i * 3 + 1 ] = face.b;
+			indices[ i * 3 + 2 ] = face.c;
 			
-			while( parent instanceof THREE.OctreeNode ) {
+			// consecutive triangles of one material share a group
+			
+			if ( group !== null && group.materialIndex === face.materialIndex ) {
 				
-				count += parent.objects.length;
-				parent = parent.parent;
+				group.count += 3;
+				
+			} else {
+				
+				group = { start: i * 3, count: 3, materialIndex: face.materialIndex };
+				groups.push( group );
 				
 			}
 			
-			return count;
-			
-		},
+		}
 		
-		toConsole: function ( space ) {
-			
-			var i, l,
-				node,
-				spaceAddition = '   ';
-			
-			space = typeof space === 'string' ? space : spaceAddition;
+		geometry.index = new THREE.BufferAttribute( indices, 1 );
+		geometry.groups = groups;
+		geometry.drawRange.start = 0;
+		geometry.drawRange.count = Infinity;
+		
+		intersects = raycaster.intersectObject( object, recursive );
+		
+		geometry.index = indexAll;
+		geometry.groups = groupsAll;
+		geometry.drawRange.start = drawStart;
+		geometry.drawRange.count = drawCount;
+		
+		// face index back to triangle of geometry
+		
+		for ( i = 0, l = intersects.length; i < l; i++ ) {
 			
-			console.log( ( this.parent ? space + ' octree NODE > ' : ' octree ROOT > ' ), this, ' // id: ', this.id, ' // indexOctant: ', this.indexOctant, ' // position: ', this.position.x, this.position.y, this.position.z, ' // radius: ', this.radius, ' // depth: ', this.depth );
-			console.log( ( this.parent ? space + ' ' : ' ' ), '+ objects ( ', this.objects.length, ' ) ', this.objects );
-			console.log( ( this.parent ? space + ' ' : ' ' ), '+ children ( ', this.nodesIndices.length, ' )', this.nodesIndices, this.nodesByIndex );
+			intersect = intersects[ i ];
 			
-			for ( i = 0, l = this.nodesIndices.length; i < l; i++ ) {
-				
-				node = this.nodesByIndex[ this.nodesIndices[ i ] ];
+			if ( intersect.object === object && isNumber( intersect.faceIndex ) ) {
 				
-				node.toConsole( space + spaceAddition );
+				intersect.faceIndex = faces[ intersect.faceIndex ].faceIndex;
 				
 			}
 			
 		}
 		
-	};
-
-	/*===================================================
-
-	raycaster additional functionality
-
-	=====================================================*/
+		return intersects;
+		
+	}
 	
-	THREE.Raycaster.prototype.intersectOctreeObject = function ( object, recursive ) {
+	function intersectOctreeObject ( object, recursive ) {
 
 		var intersects,
 			octreeObject,
 			facesAll,
 			facesSearch;
 		
-		if ( object.object instanceof THREE.Object3D ) {
+		if ( object.object instanceof THREE.Object3D && object.object.geometry instanceof THREE.BufferGeometry ) {
+			
+			// buffer geometry has no faces to replace
+			
+			intersects = object.faces.length > 0 ? intersectBufferFaces( this, object.object, object.faces, recursive ) : this.intersectObject( object.object, recursive );
+			
+		} else if ( object.object instanceof THREE.Object3D ) {
 			
 			octreeObject = object;
 			object = octreeObject.object;
@@ -2183,9 +5681,9 @@
 
 		return intersects;
 		
-	};
+	}
 	
-	THREE.Raycaster.prototype.intersectOctreeObjects = function ( objects, recursive ) {
+	function intersectOctreeObjects ( objects, recursive ) {
 
 		var i, il,
 			intersects = [];
@@ -2202,6 +5700,25 @@
 
 		return intersects;
 		
+	}
+	
+	
+	// opt in, adds functions to raycaster and does not modify anything else
+	
+	function extendRaycaster ( Raycaster ) {
+		
+		Raycaster = Raycaster || THREE.Raycaster;
+		
+		Raycaster.prototype.intersectOctreeObject = intersectOctreeObject;
+		Raycaster.prototype.intersectOctreeObjects = intersectOctreeObjects;
+		
+	}
+	
+	return {
+		Octree: Octree,
+		OctreeNode: OctreeNode,
+		OctreeObjectData: OctreeObjectData,
+		extendRaycaster: extendRaycaster
 	};
 
-}( THREE ) );
+} ) );
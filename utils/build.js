@@ -0,0 +1,66 @@
+/*
+ * builds the es module, and with --minify the minified script, from threeoctree.js
+ * usage: node utils/build.js [--minify]
+ */
+var fs = require( 'fs' ),
+	path = require( 'path' ),
+	UglifyJS = require( 'uglify-js' ),
+	pathSource = path.join( __dirname, '..', 'threeoctree.js' ),
+	pathMinified = path.join( __dirname, '..', 'threeoctree.min.js' ),
+	pathBuild = path.join( __dirname, '..', 'dist' ),
+	factoryStart = '}( this, function ( THREE ) { "use strict";',
+	factoryEnd = '} ) );',
+	source = fs.readFileSync( pathSource, 'utf8' ),
+	header = source.slice( 0, source.indexOf( '*/' ) + 2 ),
+	indexStart = source.indexOf( factoryStart ),
+	indexEnd = source.lastIndexOf( factoryEnd ),
+	factory,
+	minified;
+
+if ( indexStart === -1 || indexEnd === -1 ) {
+
+	throw new Error( 'threeoctree.js factory not found' );
+
+}
+
+factory = source.slice( indexStart + factoryStart.length, indexEnd );
+
+if ( !fs.existsSync( pathBuild ) ) {
+
+	fs.mkdirSync( pathBuild );
+
+}
+
+fs.writeFileSync( path.join( pathBuild, 'threeoctree.module.mjs' ), [
+	header,
+	'',
+	'import * as THREE from \'three\';',
+	'',
+	'function createOctree ( THREE ) { "use strict";' + factory + '}',
+	'',
+	'var octree = createOctree( THREE );',
+	'',
+	'var Octree = octree.Octree,',
+	'\tOctreeNode = octree.OctreeNode,',
+	'\tOctreeObjectData = octree.OctreeObjectData,',
+	'\textendRaycaster = octree.extendRaycaster;',
+	'',
+	'export { createOctree, Octree, OctreeNode, OctreeObjectData, extendRaycaster };',
+	''
+].join( '\n' ) );
+
+// minified script keeps header comment, only built for publishing
+
+if ( process.argv.indexOf( '--minify' ) !== -1 ) {
+
+	minified = UglifyJS.minify( source, { module: false, output: { comments: /^!/ } } );
+
+	if ( minified.error ) {
+
+		throw minified.error;
+
+	}
+
+	fs.writeFileSync( pathMinified, minified.code + '\n' );
+
+}